@@ -13,9 +13,38 @@
 const express = require("express");
 const cors = require("cors");
 const admin = require("firebase-admin");
+const multer = require("multer");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const { execFile } = require("child_process");
+const { promisify } = require("util");
+const { diffLines } = require("diff");
+const { waitUntil } = require("@vercel/functions");
+const puppeteer = require("puppeteer-core");
+const chromium = require("@sparticuz/chromium");
+const { parse: parseHtml } = require("node-html-parser");
+const { imageSize } = require("image-size");
+const sharp = require("sharp");
+const exifr = require("exifr");
+const {
+    Document, Packer, Paragraph, TextRun, ImageRun, Table, TableRow, TableCell, Header, Footer,
+    HeadingLevel, AlignmentType, BorderStyle, ShadingType, WidthType, LevelFormat, PageNumber
+} = require("docx");
+const ffmpegPath = require("@ffmpeg-installer/ffmpeg").path;
+
+const execFileAsync = promisify(execFile);
 
 const app = express();
 
+// Longest a request, and the work it keeps alive with waitUntil, may run on
+// the hosting platform
+const FUNCTION_MAX_DURATION_MS = parseInt(process.env.FUNCTION_MAX_DURATION_MS, 10) || 300000;
+// Largest file sent in a request body. The hosting platform refuses bodies
+// above 4.5 MB; larger files go through storage (see UPLOADS).
+const REQUEST_FILE_MAX_BYTES = 4 * 1024 * 1024;
+
 // --- MIDDLEWARE ---
 app.use(cors({
     origin: [
@@ -26,9 +55,16 @@ app.use(cors({
     ],
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'Authorization'],
+    exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After'],
     credentials: true
 }));
-app.use(express.json({ limit: "50mb" }));
+// The raw body is kept for checking payment webhook signatures
+app.use(express.json({
+    limit: "50mb",
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 
 // Request logging
 app.use((req, res, next) => {
@@ -41,49 +77,924 @@ app.use((req, res, next) => {
 });
 
 // --- FIREBASE INIT ---
+// The indexes the queries below rely on are declared in database.rules.json
+// (deployed with `firebase deploy --only database`); without them the SDK
+// downloads whole collections to filter them locally.
 let db = null;
+let storage = null;
 try {
     const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT || "{}");
     if (serviceAccount.project_id) {
         admin.initializeApp({
             credential: admin.credential.cert(serviceAccount),
-            databaseURL: process.env.FIREBASE_DATABASE_URL
+            databaseURL: process.env.FIREBASE_DATABASE_URL,
+            storageBucket: process.env.FIREBASE_STORAGE_BUCKET
         });
         db = admin.database();
+        if (process.env.FIREBASE_STORAGE_BUCKET) storage = createBucketStorage(admin.storage().bucket());
         console.log("✅ Firebase initialized");
     }
 } catch (e) {
     console.warn("⚠️ Firebase not configured:", e.message);
 }
 
-// --- OPENROUTER CONFIG ---
+if (!db && process.env.LOCAL_DATABASE === 'memory') {
+    db = createLocalDatabase();
+    storage = createLocalStorage();
+    console.log("🧪 Using in-memory local database");
+}
+
+// --- LOCAL DATABASE ---
+// In-memory stand-in for the subset of the Realtime Database API used by this
+// server (ref, once, set, update, remove, push, transaction and ordered
+// queries). Enabled with LOCAL_DATABASE=memory for offline development and
+// tests, or injected with app.setDatabase().
+function createLocalDatabase(initialData = {}) {
+    let root = normalizeLocalValue(initialData) || {};
+    let lastPushTime = 0;
+    let pushCounter = 0;
+
+    const splitPath = p => String(p || '').split('/').filter(Boolean);
+
+    function getAt(parts) {
+        let node = root;
+        for (const key of parts) {
+            if (node === null || typeof node !== 'object' || !(key in node)) return null;
+            node = node[key];
+        }
+        return node;
+    }
+
+    function setAt(parts, value) {
+        value = normalizeLocalValue(value);
+        if (parts.length === 0) {
+            root = value || {};
+            return;
+        }
+
+        const trail = [];
+        let node = root;
+        for (const key of parts.slice(0, -1)) {
+            if (node[key] === null || typeof node[key] !== 'object') node[key] = {};
+            trail.push([node, key]);
+            node = node[key];
+        }
+
+        const last = parts[parts.length - 1];
+        if (value === null) delete node[last];
+        else node[last] = value;
+
+        // Like the real database, parents left without children disappear
+        for (const [parent, key] of trail.reverse()) {
+            if (Object.keys(parent[key]).length > 0) break;
+            delete parent[key];
+        }
+    }
+
+    // Time-ordered, lexicographically sortable keys like Firebase push ids
+    function nextPushKey() {
+        const now = Date.now();
+        pushCounter = now === lastPushTime ? pushCounter + 1 : 0;
+        lastPushTime = now;
+        return `-${now.toString(36).padStart(9, '0')}${pushCounter.toString(36).padStart(4, '0')}`;
+    }
+
+    function makeSnapshot(key, value, orderedKeys) {
+        const data = value === undefined ? null : value;
+        return {
+            key,
+            val: () => (data === null ? null : structuredClone(data)),
+            exists: () => data !== null,
+            numChildren: () => (data && typeof data === 'object' ? Object.keys(data).length : 0),
+            child: childPath => {
+                const parts = splitPath(childPath);
+                let node = data;
+                for (const k of parts) node = node && typeof node === 'object' ? node[k] : null;
+                return makeSnapshot(parts[parts.length - 1] || key, node ?? null);
+            },
+            forEach(callback) {
+                if (!data || typeof data !== 'object') return false;
+                for (const childKey of orderedKeys || Object.keys(data).sort(compareKeys)) {
+                    if (callback(makeSnapshot(childKey, data[childKey])) === true) return true;
+                }
+                return false;
+            }
+        };
+    }
+
+    function makeQuery(parts, spec) {
+        const withSpec = changes => makeQuery(parts, { ...spec, ...changes });
+
+        function run() {
+            const value = getAt(parts);
+            const key = parts[parts.length - 1] || null;
+            if (!spec.orderBy || value === null || typeof value !== 'object') {
+                return makeSnapshot(key, value);
+            }
+
+            const sortValue = childKey => {
+                if (spec.orderBy === 'key') return childKey;
+                if (spec.orderBy === 'value') return value[childKey];
+                let node = value[childKey];
+                for (const k of splitPath(spec.orderBy.child)) node = node && typeof node === 'object' ? node[k] : null;
+                return node === undefined ? null : node;
+            };
+            const compare = (a, b) => compareLocalValues(sortValue(a), sortValue(b)) || compareKeys(a, b);
+
+            let keys = Object.keys(value).sort(compare);
+            const bound = (childKey, boundary) => compareLocalValues(sortValue(childKey), boundary);
+            if (spec.equalTo !== undefined) keys = keys.filter(k => bound(k, spec.equalTo) === 0);
+            if (spec.startAt !== undefined) keys = keys.filter(k => bound(k, spec.startAt) >= 0);
+            if (spec.startAfter !== undefined) keys = keys.filter(k => bound(k, spec.startAfter) > 0);
+            if (spec.endAt !== undefined) keys = keys.filter(k => bound(k, spec.endAt) <= 0);
+            if (spec.endBefore !== undefined) keys = keys.filter(k => bound(k, spec.endBefore) < 0);
+            if (spec.limitToFirst !== undefined) keys = keys.slice(0, spec.limitToFirst);
+            if (spec.limitToLast !== undefined) keys = keys.slice(-spec.limitToLast);
+
+            const result = {};
+            for (const k of keys) result[k] = value[k];
+            return makeSnapshot(key, keys.length ? result : null, keys);
+        }
+
+        return {
+            orderByChild: child => withSpec({ orderBy: { child } }),
+            orderByKey: () => withSpec({ orderBy: 'key' }),
+            orderByValue: () => withSpec({ orderBy: 'value' }),
+            equalTo: v => withSpec({ equalTo: v }),
+            startAt: v => withSpec({ startAt: v }),
+            startAfter: v => withSpec({ startAfter: v }),
+            endAt: v => withSpec({ endAt: v }),
+            endBefore: v => withSpec({ endBefore: v }),
+            limitToFirst: n => withSpec({ limitToFirst: n }),
+            limitToLast: n => withSpec({ limitToLast: n }),
+            once: async () => run(),
+            get: async () => run()
+        };
+    }
+
+    function ref(refPath) {
+        const parts = splitPath(refPath);
+        const reference = {
+            ...makeQuery(parts, {}),
+            key: parts[parts.length - 1] || null,
+            path: parts.join('/'),
+            child: childPath => ref([...parts, ...splitPath(childPath)].join('/')),
+            set: async value => setAt(parts, value),
+            remove: async () => setAt(parts, null),
+            update: async values => {
+                for (const [childPath, value] of Object.entries(values)) {
+                    setAt([...parts, ...splitPath(childPath)], value);
+                }
+            },
+            push(value) {
+                const child = ref([...parts, nextPushKey()].join('/'));
+                if (value !== undefined) setAt([...parts, child.key], value);
+                // Like a ThenableReference, awaiting the result yields the new child
+                return { ...child, then: (resolve, reject) => Promise.resolve(ref(child.path)).then(resolve, reject) };
+            },
+            async transaction(update) {
+                const current = getAt(parts);
+                const next = update(current === null ? null : structuredClone(current));
+                if (next === undefined) {
+                    return { committed: false, snapshot: makeSnapshot(reference.key, getAt(parts)) };
+                }
+                setAt(parts, next);
+                return { committed: true, snapshot: makeSnapshot(reference.key, getAt(parts)) };
+            }
+        };
+        return reference;
+    }
+
+    return { ref };
+}
+
+// Mirrors how the database stores values: undefined and null fields are
+// dropped and empty objects are not kept.
+function normalizeLocalValue(value) {
+    if (value === undefined || value === null) return null;
+    if (typeof value !== 'object') return value;
+    const entries = Array.isArray(value) ? value.map((v, i) => [String(i), v]) : Object.entries(value);
+    const result = {};
+    for (const [key, child] of entries) {
+        const normalized = normalizeLocalValue(child);
+        if (normalized !== null) result[key] = normalized;
+    }
+    if (Object.keys(result).length === 0) return null;
+    // Arrays with contiguous indexes come back as arrays
+    if (Array.isArray(value) && Object.keys(result).every((k, i) => k === String(i))) return Object.values(result);
+    return result;
+}
+
+// Realtime Database ordering: null, false, true, numbers, strings, objects
+function compareLocalValues(a, b) {
+    const rank = v => v === null || v === undefined ? 0 : v === false ? 1 : v === true ? 2
+        : typeof v === 'number' ? 3 : typeof v === 'string' ? 4 : 5;
+    const diff = rank(a) - rank(b);
+    if (diff !== 0) return diff;
+    if (typeof a === 'number' || typeof a === 'string') return a < b ? -1 : a > b ? 1 : 0;
+    return 0;
+}
+
+// Integer-like keys sort numerically first, then the rest lexicographically
+function compareKeys(a, b) {
+    const ia = /^-?\d+$/.test(a);
+    const ib = /^-?\d+$/.test(b);
+    if (ia && ib) return Number(a) - Number(b);
+    if (ia !== ib) return ia ? -1 : 1;
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// --- OBJECT STORAGE ---
+// Recordings and photos are kept in Cloud Storage (FIREBASE_STORAGE_BUCKET),
+// not in the database. Both implementations offer the same interface:
+// uploadUrl(path, { contentType, expiresAt, origin }) signs a URL the client
+// PUTs the file to, stat(path) returns { size, contentType } or null, and
+// read, download (to a local file), write and remove do what they say.
+// Browsers upload across origins, so the bucket needs a CORS rule allowing
+// PUT from the app.
+function createBucketStorage(bucket) {
+    return {
+        async uploadUrl(filePath, { contentType, expiresAt }) {
+            const [url] = await bucket.file(filePath).getSignedUrl({
+                version: 'v4',
+                action: 'write',
+                expires: expiresAt,
+                contentType
+            });
+            return url;
+        },
+        async stat(filePath) {
+            const [exists] = await bucket.file(filePath).exists();
+            if (!exists) return null;
+            const [metadata] = await bucket.file(filePath).getMetadata();
+            return { size: Number(metadata.size), contentType: metadata.contentType || null };
+        },
+        async read(filePath) {
+            const [data] = await bucket.file(filePath).download();
+            return data;
+        },
+        async download(filePath, destination) {
+            await bucket.file(filePath).download({ destination });
+        },
+        async write(filePath, data, contentType) {
+            await bucket.file(filePath).save(data, { contentType, resumable: false });
+        },
+        async remove(filePath) {
+            await bucket.file(filePath).delete({ ignoreNotFound: true });
+        }
+    };
+}
+
+// In-memory stand-in used with the local database, or injected with
+// app.setStorage(). Its upload URLs point at PUT /api/local-storage/:token
+// on this server.
+function createLocalStorage() {
+    const files = new Map();
+    const secret = crypto.randomBytes(32);
+    const sign = payload => crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+    async function read(filePath) {
+        const file = files.get(filePath);
+        if (!file) throw new Error(`File non trovato: ${filePath}`);
+        return file.data;
+    }
+
+    return {
+        async uploadUrl(filePath, { contentType, expiresAt, origin }) {
+            const grant = { path: filePath, contentType, expiresAt: expiresAt.getTime() };
+            const payload = Buffer.from(JSON.stringify(grant)).toString('base64url');
+            return `${origin}/api/local-storage/${payload}.${sign(payload)}`;
+        },
+        // The { path, contentType } an upload URL's token allows writing, or
+        // null if it is forged or expired
+        verifyUploadToken(token) {
+            const [payload, signature = ''] = String(token).split('.');
+            const expected = sign(payload);
+            if (signature.length !== expected.length
+                || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) return null;
+            const grant = JSON.parse(Buffer.from(payload, 'base64url').toString());
+            return grant.expiresAt > Date.now() ? grant : null;
+        },
+        async stat(filePath) {
+            const file = files.get(filePath);
+            return file ? { size: file.data.length, contentType: file.contentType } : null;
+        },
+        read,
+        async download(filePath, destination) {
+            await fs.writeFile(destination, await read(filePath));
+        },
+        async write(filePath, data, contentType) {
+            files.set(filePath, { data: Buffer.from(data), contentType: contentType || null });
+        },
+        async remove(filePath) {
+            files.delete(filePath);
+        }
+    };
+}
+
+// --- AI PROVIDERS ---
+// Completions go through named providers exposing
+// complete(request) and stream(request, onToken), where request is
+// { model, messages, temperature, maxTokens, signal }; both resolve with
+// { content, usage: { promptTokens, completionTokens, cost } } and every
+// attempt is metered (see USAGE METERING). AI_MODELS lists, for
+// each purpose, the models to try in order as "provider:model" (provider
+// defaults to openrouter). Each attempt has a timeout and is retried with
+// exponential backoff on retryable errors (timeouts, 408, 429, 5xx) before
+// falling back to the next model. All attempts of a call share a deadline
+// (AI_CALL_DEADLINE_MS), kept short of the function's limit so the caller can
+// still answer or settle credits: attempts are cut at it and no retry or
+// fallback starts after it. AI_PROVIDER=mock sends every request to
+// the offline mock provider. AI_MODELS_<PURPOSE> (e.g. AI_MODELS_REPORT)
+// overrides a purpose's list with comma separated entries.
 const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY || "";
 const OPENROUTER_URL = "https://openrouter.ai/api/v1/chat/completions";
 const MODEL_AUDIO = "google/gemini-2.0-flash-001";
 const MODEL_TEXT = "google/gemini-2.0-flash-lite-001";
 
-// --- RATE LIMITING (in-memory, resets on deploy) ---
-const rateLimits = new Map();
+const AI_PROVIDER_OVERRIDE = process.env.AI_PROVIDER || null;
+const AI_MAX_RETRIES = parseInt(process.env.AI_MAX_RETRIES, 10) || 2;
+const AI_RETRY_BASE_MS = parseInt(process.env.AI_RETRY_BASE_MS, 10) || 500;
+const AI_TIMEOUT_MS = parseInt(process.env.AI_TIMEOUT_MS, 10) || 120000;
+const AI_CALL_DEADLINE_MS = parseInt(process.env.AI_CALL_DEADLINE_MS, 10)
+    || Math.max(FUNCTION_MAX_DURATION_MS - 20000, FUNCTION_MAX_DURATION_MS / 2);
+// Time left under which no new attempt is started
+const AI_MIN_ATTEMPT_MS = 1000;
+
+const AI_MODELS = {
+    transcription: { models: [MODEL_AUDIO, "google/gemini-2.5-flash"], temperature: 0.3 },
+    report: { models: [MODEL_TEXT, MODEL_AUDIO], temperature: 0.3, timeoutMs: 180000 },
+    extraction: { models: [MODEL_TEXT, MODEL_AUDIO], temperature: 0.1 },
+    summary: { models: [MODEL_TEXT, MODEL_AUDIO], temperature: 0.3, timeoutMs: 60000 },
+    digest: { models: [MODEL_TEXT, MODEL_AUDIO], temperature: 0.3 },
+    template: { models: [MODEL_TEXT, MODEL_AUDIO], temperature: 0.3 }
+};
+
+function aiError(message, { status = null, retryable = false } = {}) {
+    const error = new Error(message);
+    error.status = status;
+    error.retryable = retryable;
+    return error;
+}
+
+function isRetryableStatus(status) {
+    return status === 408 || status === 429 || status >= 500;
+}
+
+function openRouterRequest(body, signal) {
+    return fetch(OPENROUTER_URL, {
+        method: "POST",
+        headers: {
+            "Authorization": `Bearer ${OPENROUTER_API_KEY}`,
+            "Content-Type": "application/json",
+            "HTTP-Referer": "https://archiflow-84df3.web.app",
+            "X-Title": "Archiflow"
+        },
+        body: JSON.stringify(body),
+        signal
+    });
+}
+
+async function checkOpenRouterResponse(response) {
+    if (response.ok) return;
+    const errorText = await response.text();
+    console.error('OpenRouter error:', errorText);
+    throw aiError(`Errore AI: ${response.status}`, { status: response.status, retryable: isRetryableStatus(response.status) });
+}
+
+function openRouterUsage(usage = {}) {
+    return {
+        promptTokens: usage.prompt_tokens || 0,
+        completionTokens: usage.completion_tokens || 0,
+        cost: typeof usage.cost === 'number' ? usage.cost : null
+    };
+}
+
+function createOpenRouterProvider() {
+    return {
+        configured: Boolean(OPENROUTER_API_KEY),
+
+        async complete({ model, messages, temperature, maxTokens, signal }) {
+            const response = await openRouterRequest({
+                model, messages, temperature, max_tokens: maxTokens, usage: { include: true }
+            }, signal);
+            await checkOpenRouterResponse(response);
+
+            const data = await response.json();
+            if (data.error) {
+                throw aiError(`Errore AI: ${data.error.message || 'risposta non valida'}`, { retryable: true });
+            }
+            const content = data.choices?.[0]?.message?.content;
+            if (typeof content !== 'string') throw aiError('Risposta AI senza contenuto', { retryable: true });
+            return { content, usage: openRouterUsage(data.usage) };
+        },
+
+        // onToken receives each content delta as it arrives, the resolved
+        // value is the full completion
+        async stream({ model, messages, temperature, maxTokens, signal }, onToken) {
+            const response = await openRouterRequest({
+                model, messages, temperature, max_tokens: maxTokens, stream: true, usage: { include: true }
+            }, signal);
+            await checkOpenRouterResponse(response);
+
+            const decoder = new TextDecoder();
+            let buffer = '';
+            let content = '';
+            let usage = openRouterUsage();
+            const finish = () => {
+                if (!content) throw aiError('Risposta AI senza contenuto', { retryable: true });
+                return { content, usage };
+            };
+
+            for await (const chunk of response.body) {
+                buffer += decoder.decode(chunk, { stream: true });
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
+
+                for (const line of lines) {
+                    // Skip keep-alive comments (": OPENROUTER PROCESSING") and blank lines
+                    if (!line.startsWith('data:')) continue;
+                    const payload = line.slice(5).trim();
+                    if (payload === '[DONE]') return finish();
+
+                    const data = JSON.parse(payload);
+                    if (data.error) {
+                        throw aiError(`Errore AI: ${data.error.message || 'stream interrotto'}`, { retryable: true });
+                    }
+
+                    // The last chunk carries the usage of the whole stream
+                    if (data.usage) usage = openRouterUsage(data.usage);
+
+                    const token = data.choices?.[0]?.delta?.content;
+                    if (token) {
+                        content += token;
+                        onToken(token);
+                    }
+                }
+            }
+
+            return finish();
+        }
+    };
+}
+
+// Offline provider for tests and local development. Its answers come from
+// respond(request), which can be replaced with mock.respond(fn) and may throw
+// (errors built with aiError decide whether they are retried). Every request
+// is recorded in mock.requests.
+function createMockProvider() {
+    const defaultRespond = ({ messages }) => {
+        const prompt = messages.map(m => (typeof m.content === 'string' ? m.content : JSON.stringify(m.content))).join('\n');
+        if (/SOLO (il )?JSON/i.test(prompt)) {
+            return JSON.stringify({
+                premessa: "Risposta simulata.",
+                areas: [],
+                observations: [],
+                recommendations: [],
+                conclusions: "Risposta simulata.",
+                nextVisit: null,
+                issues: [],
+                measurements: [],
+                materials: [],
+                actionItems: [],
+                overview: "Risposta simulata.",
+                progress: [],
+                openIssues: [],
+                nextSteps: []
+            });
+        }
+        if (/DOCTYPE|HTML/.test(prompt)) {
+            return '<!DOCTYPE html><html lang="it"><body><h1>Relazione simulata</h1></body></html>';
+        }
+        return "Risposta simulata.";
+    };
+    let respond = defaultRespond;
+
+    const mock = {
+        configured: true,
+        requests: [],
+        respond(fn) {
+            respond = fn || defaultRespond;
+        },
+        // Token counts are estimated at four characters per token
+        async complete(request) {
+            mock.requests.push(request);
+            const content = String(await respond(request));
+            const promptLength = JSON.stringify(request.messages).length;
+            return {
+                content,
+                usage: { promptTokens: Math.ceil(promptLength / 4), completionTokens: Math.ceil(content.length / 4), cost: 0 }
+            };
+        },
+        async stream(request, onToken) {
+            const result = await mock.complete(request);
+            for (const token of result.content.match(/[\s\S]{1,20}/g) || []) onToken(token);
+            return result;
+        }
+    };
+    return mock;
+}
+
+const AI_PROVIDERS = {
+    openrouter: createOpenRouterProvider(),
+    mock: createMockProvider()
+};
+
+// The ordered { provider, model } attempts for a purpose
+function aiAttempts(purpose) {
+    const override = process.env[`AI_MODELS_${purpose.toUpperCase()}`];
+    const entries = override ? override.split(',').map(e => e.trim()).filter(Boolean) : AI_MODELS[purpose].models;
+    return entries.map(entry => {
+        const separator = entry.indexOf(':');
+        const prefix = separator > 0 ? entry.slice(0, separator) : null;
+        const attempt = prefix && AI_PROVIDERS[prefix]
+            ? { provider: prefix, model: entry.slice(separator + 1) }
+            : { provider: 'openrouter', model: entry };
+        if (AI_PROVIDER_OVERRIDE) attempt.provider = AI_PROVIDER_OVERRIDE;
+        return attempt;
+    });
+}
+
+// Runs one attempt with its timeout. Aborts from the caller's signal are
+// passed through, timeouts become retryable errors.
+async function runAiAttempt(call, timeoutMs, signal) {
+    const timeout = AbortSignal.timeout(timeoutMs);
+    try {
+        return await call(signal ? AbortSignal.any([signal, timeout]) : timeout);
+    } catch (error) {
+        if (signal?.aborted) throw error;
+        if (timeout.aborted) throw aiError('Timeout della richiesta AI', { status: 408, retryable: true });
+        // Network failures from fetch
+        if (error instanceof TypeError && error.message === 'fetch failed') {
+            throw aiError('Servizio AI non raggiungibile', { retryable: true });
+        }
+        throw error;
+    }
+}
+
+// Tries every model of the purpose in order, retrying retryable errors,
+// until AI_CALL_DEADLINE_MS has passed. call(provider, request) performs one
+// request. `canRetry` lets streams stop once part of the output was sent.
+// Each attempt is recorded against `meter` ({ userId, endpoint, jobId }).
+async function withAiFallback(purpose, messages, { maxTokens, signal, canRetry = () => true, meter }, call) {
+    const config = AI_MODELS[purpose];
+    const deadline = Date.now() + AI_CALL_DEADLINE_MS;
+    const deadlineError = () => aiError('Tempo massimo per la richiesta AI superato', { status: 504 });
+    let lastError = null;
+
+    for (const { provider: name, model } of aiAttempts(purpose)) {
+        const provider = AI_PROVIDERS[name];
+        if (!provider) {
+            lastError = aiError(`Provider AI sconosciuto: ${name}`);
+            continue;
+        }
+
+        for (let attempt = 0; attempt <= AI_MAX_RETRIES; attempt++) {
+            const remaining = deadline - Date.now();
+            if (remaining < AI_MIN_ATTEMPT_MS) throw lastError || deadlineError();
+            const startedAt = Date.now();
+            const usageEntry = { purpose, provider: name, model, attempt };
+            try {
+                const { content, usage } = await runAiAttempt(attemptSignal => call(provider, {
+                    model,
+                    messages,
+                    temperature: config.temperature,
+                    maxTokens,
+                    signal: attemptSignal
+                }), Math.min(config.timeoutMs || AI_TIMEOUT_MS, remaining), signal);
+                await recordAiUsage(meter, { ...usageEntry, ...usage, latencyMs: Date.now() - startedAt, outcome: 'success' });
+                return content;
+            } catch (error) {
+                await recordAiUsage(meter, {
+                    ...usageEntry,
+                    latencyMs: Date.now() - startedAt,
+                    outcome: signal?.aborted ? 'aborted' : 'error',
+                    errorStatus: error.status || null
+                });
+                if (signal?.aborted || !canRetry()) throw error;
+                lastError = error;
+                if (!error.retryable || attempt === AI_MAX_RETRIES) break;
+
+                const delay = AI_RETRY_BASE_MS * 2 ** attempt;
+                const wait = delay + Math.random() * delay / 2;
+                if (Date.now() + wait + AI_MIN_ATTEMPT_MS > deadline) throw error;
+                console.warn(`AI ${purpose} ${name}:${model} failed (${error.message}), retrying in ${delay}ms`);
+                await new Promise(resolve => setTimeout(resolve, wait));
+            }
+        }
+        console.warn(`AI ${purpose} ${name}:${model} failed, trying the next model`);
+    }
+    throw lastError;
+}
+
+function aiComplete(purpose, messages, { maxTokens = 8000, signal, meter } = {}) {
+    return withAiFallback(purpose, messages, { maxTokens, signal, meter }, (provider, request) => provider.complete(request));
+}
+
+// Falls back to another attempt only while no token has been forwarded
+function aiStream(purpose, messages, { maxTokens = 8000, signal, onToken, meter }) {
+    let started = false;
+    return withAiFallback(purpose, messages, { maxTokens, signal, meter, canRetry: () => !started }, (provider, request) =>
+        provider.stream(request, token => {
+            started = true;
+            onToken(token);
+        }));
+}
+
+// --- USAGE METERING ---
+// Every AI attempt, successful or not, is stored in aiUsage/{pushId} with its
+// tokens, latency and cost. userDay ("uid|YYYY-MM-DD") and day make per-user
+// and global date ranges single indexed queries.
+// Prices in USD per million tokens, used when the provider reports no cost.
+const AI_MODEL_PRICES = {
+    'google/gemini-2.0-flash-001': { prompt: 0.10, completion: 0.40 },
+    'google/gemini-2.0-flash-lite-001': { prompt: 0.075, completion: 0.30 },
+    'google/gemini-2.5-flash': { prompt: 0.30, completion: 2.50 }
+};
+const USAGE_DEFAULT_DAYS = 30;
+const USAGE_MAX_DAYS = 366;
+
+function aiCost(model, { promptTokens = 0, completionTokens = 0, cost = null } = {}) {
+    if (typeof cost === 'number') return cost;
+    const price = AI_MODEL_PRICES[model];
+    if (!price) return 0;
+    return (promptTokens * price.prompt + completionTokens * price.completion) / 1e6;
+}
+
+// Metering never fails the AI call it describes
+async function recordAiUsage(meter, entry) {
+    if (!db || !meter?.userId) return;
+
+    try {
+        const now = new Date();
+        const day = now.toISOString().slice(0, 10);
+        const planSnap = await db.ref(`users/${meter.userId}/plan`).once("value");
+        const promptTokens = entry.promptTokens || 0;
+        const completionTokens = entry.completionTokens || 0;
+
+        await db.ref("aiUsage").push({
+            userId: meter.userId,
+            endpoint: meter.endpoint || 'unknown',
+            jobId: meter.jobId || null,
+            plan: planSnap.val() || DEFAULT_PLAN,
+            purpose: entry.purpose,
+            provider: entry.provider,
+            model: entry.model,
+            attempt: entry.attempt,
+            outcome: entry.outcome,
+            errorStatus: entry.errorStatus || null,
+            promptTokens,
+            completionTokens,
+            totalTokens: promptTokens + completionTokens,
+            cost: aiCost(entry.model, entry),
+            latencyMs: entry.latencyMs,
+            timestamp: now.toISOString(),
+            day,
+            userDay: `${meter.userId}|${day}`
+        });
+    } catch (error) {
+        console.error('Record AI usage error:', error.message);
+    }
+}
+
+// Resolves the from/to query (inclusive days), defaulting to the last 30 days
+function usageRange(query) {
+    const to = query.to || new Date().toISOString().slice(0, 10);
+    const from = query.from || new Date(Date.parse(to) - (USAGE_DEFAULT_DAYS - 1) * 86400000).toISOString().slice(0, 10);
+    if (from > to) return { error: 'La data iniziale deve precedere quella finale' };
+    if ((Date.parse(to) - Date.parse(from)) / 86400000 >= USAGE_MAX_DAYS) {
+        return { error: `L'intervallo non può superare ${USAGE_MAX_DAYS} giorni` };
+    }
+    return { from, to };
+}
+
+// Usage entries of a range, for one user or for everyone
+async function loadUsageEntries({ from, to }, userId = null) {
+    const query = userId
+        ? db.ref("aiUsage").orderByChild("userDay").startAt(`${userId}|${from}`).endAt(`${userId}|${to}`)
+        : db.ref("aiUsage").orderByChild("day").startAt(from).endAt(to);
+    const snapshot = await query.once("value");
+    return Object.values(snapshot.val() || {});
+}
+
+// Totals for entries, optionally grouped into buckets by keyOf(entry)
+function emptyUsageBucket() {
+    return { calls: 0, errors: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0, latencyMs: 0 };
+}
+
+function summarizeUsage(entries, keyOf) {
+    const buckets = keyOf ? {} : { total: emptyUsageBucket() };
+    for (const entry of entries) {
+        const key = keyOf ? keyOf(entry) ?? 'unknown' : 'total';
+        const bucket = buckets[key] ||= emptyUsageBucket();
+        bucket.calls++;
+        if (entry.outcome !== 'success') bucket.errors++;
+        bucket.promptTokens += entry.promptTokens || 0;
+        bucket.completionTokens += entry.completionTokens || 0;
+        bucket.totalTokens += entry.totalTokens || 0;
+        bucket.cost += entry.cost || 0;
+        bucket.latencyMs += entry.latencyMs || 0;
+    }
+
+    for (const bucket of Object.values(buckets)) {
+        bucket.cost = Math.round(bucket.cost * 1e6) / 1e6;
+        bucket.avgLatencyMs = bucket.calls ? Math.round(bucket.latencyMs / bucket.calls) : 0;
+        delete bucket.latencyMs;
+    }
+    return keyOf ? buckets : buckets.total;
+}
+
+// --- PLANS ---
+// Monthly credit allowance per plan. Plans with rollover carry unused
+// credits into the next billing month, up to maxRolloverCredits.
+// rateLimits are requests per minute for AI work and for everything else.
+// monthlyPrice (euro cents) is what the plan catalog shows; the amount
+// charged is the one of the plan's Stripe price (see BILLING).
+const DEFAULT_PLAN = 'Free';
+const PLANS = {
+    Free: { monthlyCredits: 10, rollover: false, maxRolloverCredits: 0, rateLimits: { ai: 10, crud: 60 }, monthlyPrice: 0 },
+    Pro: { monthlyCredits: 100, rollover: true, maxRolloverCredits: 100, rateLimits: { ai: 30, crud: 120 }, monthlyPrice: 1900 },
+    Studio: { monthlyCredits: 500, rollover: true, maxRolloverCredits: 500, rateLimits: { ai: 60, crud: 300 }, monthlyPrice: 4900 }
+};
+
+function getPlan(name) {
+    return PLANS[name] || PLANS[DEFAULT_PLAN];
+}
+
+// --- RATE LIMITING ---
+// Requests are counted in fixed one-minute windows kept in a shared store,
+// so limits hold across serverless instances and deploys. Authenticated
+// requests count per user in the 'ai' bucket when they start AI work and in
+// 'crud' otherwise, with the limits of the user's plan (or their
+// organization's); public requests count per IP.
+// A store implements hit(bucket, id, windowMs) -> { count, resetAt }. The
+// database store is used when a database is configured, unless
+// RATE_LIMIT_STORE=memory; setRateLimitStore swaps it in tests.
 const RATE_LIMIT_WINDOW = 60000; // 1 minute
-const RATE_LIMIT_MAX_REQUESTS = 30; // 30 requests per minute
+const PUBLIC_RATE_LIMIT = 30; // requests per minute per IP
+const RATE_LIMIT_SWEEP_BATCH = 100;
+
+// Windows in rateLimits/{bucket}/{id}, updated in a transaction. Expired
+// windows are swept at most once per window and instance.
+function createDatabaseRateLimitStore() {
+    let nextSweep = 0;
+
+    async function sweep(bucket, now) {
+        const snapshot = await db.ref(`rateLimits/${bucket}`)
+            .orderByChild("resetAt")
+            .endAt(now)
+            .limitToFirst(RATE_LIMIT_SWEEP_BATCH)
+            .once("value");
+        const removals = {};
+        for (const id of Object.keys(snapshot.val() || {})) removals[`rateLimits/${bucket}/${id}`] = null;
+        if (Object.keys(removals).length > 0) await db.ref().update(removals);
+    }
 
-function checkRateLimit(userId) {
-    const now = Date.now();
-    const userLimits = rateLimits.get(userId) || { count: 0, windowStart: now };
+    return {
+        async hit(bucket, id, windowMs) {
+            const now = Date.now();
+            const key = String(id).replace(/[.#$/[\]]/g, '_');
+            const { snapshot } = await db.ref(`rateLimits/${bucket}/${key}`).transaction(entry => {
+                if (!entry || now >= entry.resetAt) return { count: 1, resetAt: now + windowMs };
+                return { ...entry, count: entry.count + 1 };
+            });
 
-    if (now - userLimits.windowStart > RATE_LIMIT_WINDOW) {
-        // Reset window
-        userLimits.count = 1;
-        userLimits.windowStart = now;
-    } else {
-        userLimits.count++;
+            if (now >= nextSweep) {
+                nextSweep = now + windowMs;
+                sweep(bucket, now).catch(error => console.error('Rate limit sweep error:', error.message));
+            }
+            return snapshot.val();
+        }
+    };
+}
+
+// Per-instance windows, for tests and local development
+function createMemoryRateLimitStore() {
+    const windows = new Map();
+    let nextSweep = 0;
+
+    return {
+        async hit(bucket, id, windowMs) {
+            const now = Date.now();
+            if (now >= nextSweep) {
+                nextSweep = now + windowMs;
+                for (const [key, entry] of windows) {
+                    if (now >= entry.resetAt) windows.delete(key);
+                }
+            }
+
+            const key = `${bucket}/${id}`;
+            let entry = windows.get(key);
+            if (!entry || now >= entry.resetAt) {
+                entry = { count: 0, resetAt: now + windowMs };
+                windows.set(key, entry);
+            }
+            entry.count++;
+            return { ...entry };
+        }
+    };
+}
+
+const RATE_LIMIT_STORES = {
+    database: createDatabaseRateLimitStore(),
+    memory: createMemoryRateLimitStore()
+};
+let rateLimitStore = null;
+
+function currentRateLimitStore() {
+    if (rateLimitStore) return rateLimitStore;
+    if (process.env.RATE_LIMIT_STORE === 'memory' || !db) return RATE_LIMIT_STORES.memory;
+    return RATE_LIMIT_STORES.database;
+}
+
+// Counts the request and sets the RateLimit-* headers (and Retry-After once
+// the limit is exceeded). Returns whether the request may proceed; a store
+// failure lets it through rather than taking the API down.
+async function checkRateLimit(res, bucket, id, limit) {
+    let entry;
+    try {
+        entry = await currentRateLimitStore().hit(bucket, id, RATE_LIMIT_WINDOW);
+    } catch (error) {
+        console.error('Rate limit store error:', error.message);
+        return true;
     }
 
-    rateLimits.set(userId, userLimits);
-    return userLimits.count <= RATE_LIMIT_MAX_REQUESTS;
+    const resetSeconds = Math.max(Math.ceil((entry.resetAt - Date.now()) / 1000), 0);
+    res.set({
+        'RateLimit-Limit': String(limit),
+        'RateLimit-Remaining': String(Math.max(limit - entry.count, 0)),
+        'RateLimit-Reset': String(resetSeconds),
+        'RateLimit-Policy': `${limit};w=${RATE_LIMIT_WINDOW / 1000}`
+    });
+    if (entry.count <= limit) return true;
+
+    res.set('Retry-After', String(resetSeconds));
+    return false;
+}
+
+// AI calls, job submissions and project digests (which may be rebuilt by
+// the model) count in the 'ai' bucket. The bucket follows the matched route's
+// declared path, not the request path, which Express matches ignoring case.
+function rateLimitBucket(req) {
+    const route = req.route?.path || '';
+    if (route.startsWith('/api/ai/')) return 'ai';
+    if (req.method === 'POST' && (route === '/api/jobs' || route === '/api/projects/:id/digest')) return 'ai';
+    return 'crud';
 }
 
 // --- AUTH MIDDLEWARE ---
+// Account states are cached per instance for ACCOUNT_STATE_TTL_MS, so a
+// suspension or plan change made on another instance applies within that
+// time. Changes made on this instance drop the affected entries at once.
+const ACCOUNT_STATE_TTL_MS = 30 * 1000;
+const ACCOUNT_STATE_CACHE_MAX = 5000;
+const accountStates = new Map();
+
+// The plan whose rate limits apply to the user (their organization's if they
+// have one) and whether an admin suspended the account
+async function loadAccountState(userId) {
+    if (!db) return { plan: DEFAULT_PLAN, orgId: null, suspended: null };
+    const [planSnap, orgSnap, suspendedSnap] = await Promise.all([
+        db.ref(`users/${userId}/plan`).once("value"),
+        db.ref(`users/${userId}/orgId`).once("value"),
+        db.ref(`users/${userId}/suspended`).once("value")
+    ]);
+    let plan = planSnap.val() || DEFAULT_PLAN;
+    if (orgSnap.val()) {
+        const orgPlanSnap = await db.ref(`orgs/${orgSnap.val()}/plan`).once("value");
+        plan = orgPlanSnap.val() || plan;
+    }
+    return { plan, orgId: orgSnap.val() || null, suspended: suspendedSnap.val() };
+}
+
+async function cachedAccountState(userId) {
+    const now = Date.now();
+    const cached = accountStates.get(userId);
+    if (cached && cached.expiresAt > now) return cached.state;
+
+    const state = await loadAccountState(userId);
+    if (accountStates.size >= ACCOUNT_STATE_CACHE_MAX) {
+        for (const [id, entry] of accountStates) {
+            if (entry.expiresAt <= now) accountStates.delete(id);
+        }
+        if (accountStates.size >= ACCOUNT_STATE_CACHE_MAX) accountStates.clear();
+    }
+    accountStates.set(userId, { state, expiresAt: now + ACCOUNT_STATE_TTL_MS });
+    return state;
+}
+
+// Drops the cached state of a user, or of every member of an organization
+function forgetAccountState({ userId = null, orgId = null }) {
+    if (userId) accountStates.delete(userId);
+    if (!orgId) return;
+    for (const [id, entry] of accountStates) {
+        if (entry.state.orgId === orgId) accountStates.delete(id);
+    }
+}
+
+// Checks Firebase ID tokens; setTokenVerifier swaps it for tests
+let verifyIdToken = token => admin.auth().verifyIdToken(token);
+
 async function verifyToken(req, res, next) {
     const authHeader = req.headers.authorization;
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -92,19 +1003,41 @@ async function verifyToken(req, res, next) {
 
     const token = authHeader.split('Bearer ')[1];
     try {
-        const decoded = await admin.auth().verifyIdToken(token);
-        req.user = decoded;
-
-        // Rate limiting
-        if (!checkRateLimit(decoded.uid)) {
-            return res.status(429).json({ error: 'Troppe richieste. Riprova tra un minuto.' });
-        }
-
-        next();
+        req.user = await verifyIdToken(token);
     } catch (error) {
         console.error('Token verification failed:', error.message);
         return res.status(401).json({ error: 'Token non valido o scaduto' });
     }
+
+    // Without the account state a suspension can't be ruled out, so the
+    // request is refused
+    let account;
+    try {
+        account = await cachedAccountState(req.user.uid);
+    } catch (error) {
+        console.error('Account state lookup failed:', error.message);
+        return res.status(503).json({ error: "Servizio temporaneamente non disponibile. Riprova tra poco." });
+    }
+    if (account.suspended) {
+        return res.status(403).json({ error: "Account sospeso. Contatta l'assistenza.", suspended: true });
+    }
+
+    // Rate limiting
+    const bucket = rateLimitBucket(req);
+    if (!await checkRateLimit(res, bucket, req.user.uid, getPlan(account.plan).rateLimits[bucket])) {
+        return res.status(429).json({ error: 'Troppe richieste. Riprova tra un minuto.' });
+    }
+
+    next();
+}
+
+// Admin access comes from the `admin` custom claim on the Firebase token.
+// Runs after verifyToken on every admin route.
+function requireAdmin(req, res, next) {
+    if (req.user?.admin !== true) {
+        return res.status(403).json({ error: "Accesso riservato agli amministratori" });
+    }
+    next();
 }
 
 // --- AI PROMPTS ---
@@ -136,9 +1069,10 @@ Genera una RELAZIONE TECNICA DI SOPRALLUOGO professionale, dettagliata e pronta
 - Titolo Relazione: {reportTitle}
 - Data Sopralluogo: {date}
 - Aree Ispezionate: {areas}
+- Foto Disponibili (area e didascalia): {photos}
 - Stile di Scrittura: {writingStyle}
-- Trascrizione Note Vocali:
-{transcription}
+- Azioni Aperte dai Sopralluoghi Precedenti: {openItems}
+{sourceData}
 </input_data>
 
 <document_structure>
@@ -161,7 +1095,7 @@ Genera una RELAZIONE TECNICA DI SOPRALLUOGO professionale, dettagliata e pronta
    - Percentuale avanzamento se menzionata
    - Materiali osservati
    - Lavorazioni in corso o completate
-   - Inserisci placeholder foto: <div class="photo-placeholder">[FOTO: descrizione contestuale]</div>
+   - Inserisci placeholder foto: <div class="photo-placeholder">[FOTO: nome area - descrizione contestuale]</div>
 
 4. **RILIEVI E OSSERVAZIONI TECNICHE**
    - Problemi riscontrati (se menzionati)
@@ -171,6 +1105,7 @@ Genera una RELAZIONE TECNICA DI SOPRALLUOGO professionale, dettagliata e pronta
 
 5. **CONCLUSIONI**
    - Sintesi dello stato generale
+   - Stato delle azioni aperte dai sopralluoghi precedenti (risolta, in corso o non verificata)
    - Azioni da intraprendere
    - Prossimo sopralluogo (se menzionato)
 
@@ -180,7 +1115,8 @@ Genera una RELAZIONE TECNICA DI SOPRALLUOGO professionale, dettagliata e pronta
   <p class="signature-name" style="text-align: center; font-weight: bold; font-size: 14px;"><!-- FIRMA_NOME --></p>
   <p class="signature-reg" style="text-align: center; font-size: 12px; color: #666;"><!-- FIRMA_ORDINE --></p>
   <p class="signature-company" style="text-align: center; font-size: 12px; color: #666;"><!-- FIRMA_STUDIO --></p>
-  <div style="text-align: center; margin-top: 30px;">________________________</div>
+  <div class="signature-image" style="text-align: center; margin-top: 20px;"><!-- FIRMA_IMMAGINE --></div>
+  <div style="text-align: center; margin-top: 10px;">________________________</div>
   <p style="text-align: center; font-size: 11px; color: #888;">Firma</p>
 </div>
 </document_structure>
@@ -210,9 +1146,10 @@ STILE "{writingStyle}":
 3. USA terminologia tecnica italiana appropriata
 4. INIZIA direttamente con <!DOCTYPE html>
 5. NESSUN markdown - solo HTML puro
-6. INSERISCI almeno un placeholder foto per area menzionata
+6. INSERISCI almeno un placeholder foto per area menzionata, indicando sempre il nome dell'area, e uno per ogni foto disponibile
 7. MANTIENI coerenza tra il contenuto trascritto e il report
 8. SE un'informazione non è chiara, usa espressioni come "da verificare" o "come indicato"
+9. Per le azioni aperte indica come risolte o in corso SOLO quelle di cui parlano le note; le altre sono "non verificate"
 </critical_rules>`,
 
     refineReport: `<role>
@@ -224,7 +1161,7 @@ Il tuo compito è MODIFICARE un documento HTML esistente secondo le istruzioni d
 1. NON INVENTARE MAI informazioni non presenti nel documento originale
 2. PRESERVA tutto il contenuto non interessato dalla modifica
 3. FAI SOLO le modifiche richieste, nient'altro
-4. MANTIENI la struttura HTML e il CSS esistente
+4. MANTIENI la struttura HTML e il CSS esistente, compresi i tag <img> con i loro attributi data-photo-id
 5. Se la richiesta non è chiara, inizia la risposta con "CLARIFICATION:" e chiedi dettagli
 </critical_rules>
 
@@ -255,60 +1192,438 @@ Crea un template HTML5 riutilizzabile per relazioni tecniche.
 6. Media query per stampa
 
 IMPORTANTE: Restituisci SOLO codice HTML, iniziando con <!DOCTYPE html>
-</requirements>`
-};
+</requirements>`,
 
-// --- HELPER FUNCTIONS ---
-async function callOpenRouter(messages, model = MODEL_TEXT, maxTokens = 8000) {
-    const response = await fetch(OPENROUTER_URL, {
-        method: "POST",
-        headers: {
-            "Authorization": `Bearer ${OPENROUTER_API_KEY}`,
-            "Content-Type": "application/json",
-            "HTTP-Referer": "https://archiflow-84df3.web.app",
-            "X-Title": "Archiflow"
-        },
-        body: JSON.stringify({
-            model,
-            messages,
-            temperature: 0.3,
-            max_tokens: maxTokens
-        })
-    });
+    reportContent: `<role>
+Sei un tecnico professionista italiano (architetto/ingegnere/geometra) con oltre 20 anni di esperienza nella redazione di relazioni tecniche di sopralluogo.
+</role>
 
-    if (!response.ok) {
-        const errorText = await response.text();
-        console.error('OpenRouter error:', errorText);
-        throw new Error(`Errore AI: ${response.status}`);
-    }
+<mission>
+Redigi il CONTENUTO di una relazione tecnica di sopralluogo. La grafica è gestita da un template dello studio: tu produci SOLO testo strutturato in JSON.
+</mission>
 
-    const data = await response.json();
-    return data.choices[0].message.content;
-}
+<input_data>
+- Progetto: {projectTitle}
+- Titolo Relazione: {reportTitle}
+- Data Sopralluogo: {date}
+- Aree Ispezionate: {areas}
+- Foto Disponibili (area e didascalia): {photos}
+- Stile di Scrittura: {writingStyle}
+- Azioni Aperte dai Sopralluoghi Precedenti: {openItems}
+{sourceData}
+</input_data>
 
-function cleanHtmlResponse(html) {
-    let cleaned = html.trim();
-    // Remove markdown code blocks if present
-    if (cleaned.startsWith("```html")) cleaned = cleaned.slice(7);
-    if (cleaned.startsWith("```")) cleaned = cleaned.slice(3);
-    if (cleaned.endsWith("```")) cleaned = cleaned.slice(0, -3);
-    return cleaned.trim();
+<output_format>
+{
+  "premessa": "oggetto e finalità del sopralluogo (1 paragrafo)",
+  "areas": [
+    {
+      "name": "nome dell'area",
+      "description": "stato attuale, materiali, lavorazioni in corso o completate",
+      "progress": "percentuale di avanzamento se menzionata, altrimenti null",
+      "photos": ["descrizione di ogni foto da inserire per quest'area"]
+    }
+  ],
+  "observations": ["problemi, non conformità ed elementi che richiedono attenzione"],
+  "recommendations": ["raccomandazioni tecniche"],
+  "conclusions": "sintesi dello stato generale, stato delle azioni aperte (risolta, in corso o non verificata) e azioni da intraprendere",
+  "nextVisit": "prossimo sopralluogo se menzionato, altrimenti null"
 }
+</output_format>
 
-async function useCredits(userId, amount) {
-    if (!db) return { success: false, error: 'Database non configurato' };
-
-    const userRef = db.ref(`users/${userId}`);
-    const snapshot = await userRef.once('value');
-    const user = snapshot.val();
+<writing_style_guide>
+STILE "{writingStyle}":
+- essenziale: Frasi brevi, dirette, solo fatti. Niente aggettivi superflui.
+- standard: Tono professionale equilibrato, descrizioni chiare e complete.
+- elaborato: Linguaggio tecnico formale, descrizioni approfondite, terminologia specialistica.
+- formale: Registro burocratico-istituzionale, struttura rigida, riferimenti normativi.
+</writing_style_guide>
 
-    if (!user) return { success: false, error: 'Utente non trovato' };
+<critical_rules>
+1. ESPANDI le note vocali in testo professionale completo
+2. NON inventare MAI dati tecnici, misure o fatti non menzionati
+3. USA terminologia tecnica italiana appropriata
+4. Testo semplice nei campi: NESSUN HTML e NESSUN markdown; separa i paragrafi con una riga vuota
+5. Almeno una foto per area menzionata
+6. SE un'informazione non è chiara, usa espressioni come "da verificare" o "come indicato"
+7. Restituisci SOLO il JSON valido, senza commenti
+8. Per le azioni aperte indica come risolte o in corso SOLO quelle di cui parlano le note; le altre sono "non verificate"
+</critical_rules>`,
 
-    const creditsTotal = user.creditsTotal || 10;
-    const creditsUsed = user.creditsUsed || 0;
-    const available = creditsTotal - creditsUsed;
+    extraction: `<role>
+Sei un tecnico professionista italiano (architetto/ingegnere/geometra) che analizza le note vocali di un sopralluogo in cantiere.
+</role>
 
-    if (available < amount) {
+<mission>
+Estrai dalla trascrizione i dati strutturati del sopralluogo. NON scrivere una relazione: restituisci SOLO JSON.
+</mission>
+
+<input_data>
+- Data Sopralluogo: {date}
+- Aree note del cantiere: {areas}
+- Trascrizione Note Vocali:
+{transcription}
+</input_data>
+
+<output_format>
+{
+  "areas": [
+    { "name": "nome dell'area", "progress": 60, "notes": "stato dei lavori in breve" }
+  ],
+  "issues": [
+    { "description": "problema o non conformità", "severity": "low | medium | high | critical", "area": "nome dell'area o null" }
+  ],
+  "measurements": [
+    { "description": "cosa è stato misurato", "value": 2.4, "unit": "m", "area": "nome dell'area o null" }
+  ],
+  "materials": [
+    { "name": "materiale", "quantity": 12, "unit": "mq", "notes": "marca, modello o stato, altrimenti null", "area": "nome dell'area o null" }
+  ],
+  "actionItems": [
+    { "description": "azione da svolgere", "owner": "chi deve svolgerla o null", "dueDate": "AAAA-MM-GG o null", "area": "nome dell'area o null" }
+  ]
+}
+</output_format>
+
+<critical_rules>
+1. NON inventare MAI dati, misure, percentuali, responsabili o scadenze non menzionati: usa null
+2. progress è un numero da 0 a 100, solo se la percentuale è detta o deducibile senza ambiguità
+3. severity: critical = rischio per la sicurezza o blocco dei lavori; high = da risolvere prima di proseguire; medium = da correggere; low = dettaglio
+4. Converti le date relative ("entro venerdì") in AAAA-MM-GG a partire dalla data del sopralluogo, altrimenti null
+5. Usa i nomi delle aree note quando corrispondono
+6. Liste vuote se non ci sono elementi
+7. Restituisci SOLO il JSON valido, senza commenti
+</critical_rules>`,
+
+    callSummary: `Sei un tecnico di cantiere italiano. Riassumi in 3-5 frasi le note vocali di questo sopralluogo: aree visitate, avanzamento, problemi emersi e decisioni prese.
+Scrivi in italiano, in terza persona, testo semplice senza markdown né elenchi. NON aggiungere informazioni assenti dalle note.
+
+Note vocali:
+{transcription}`,
+
+    projectDigest: `<role>
+Sei un direttore dei lavori italiano che aggiorna il committente sull'andamento del cantiere.
+</role>
+
+<mission>
+Sintetizza i sopralluoghi del progetto, in ordine cronologico, in un aggiornamento chiaro per il cliente. Restituisci SOLO JSON.
+</mission>
+
+<input_data>
+- Progetto: {projectTitle}
+- Cliente: {client}
+- Indirizzo cantiere: {siteAddress}
+- Azioni ancora aperte: {openItems}
+- Sopralluoghi (dal più vecchio al più recente):
+{visits}
+</input_data>
+
+<output_format>
+{
+  "overview": "2-4 frasi sull'andamento complessivo del cantiere",
+  "progress": [
+    { "area": "nome dell'area", "progress": 60, "trend": "come è cambiata tra i sopralluoghi" }
+  ],
+  "openIssues": ["problemi ancora da risolvere"],
+  "nextSteps": ["prossimi passi concordati o necessari"]
+}
+</output_format>
+
+<critical_rules>
+1. Usa SOLO le informazioni dei sopralluoghi e delle azioni aperte: NON inventare dati
+2. progress è un numero da 0 a 100, l'ultimo valore noto per l'area, altrimenti null
+3. Linguaggio comprensibile a un cliente non tecnico, tono professionale
+4. Testo semplice nei campi: NESSUN HTML e NESSUN markdown
+5. Restituisci SOLO il JSON valido, senza commenti
+</critical_rules>`,
+
+    extractionSource: `- Dati Strutturati Estratti dalle Note Vocali (JSON, unica fonte: non aggiungere fatti):
+{extraction}`
+};
+
+// --- HELPER FUNCTIONS ---
+function cleanHtmlResponse(html) {
+    let cleaned = html.trim();
+    // Remove markdown code blocks if present
+    if (cleaned.startsWith("```html")) cleaned = cleaned.slice(7);
+    if (cleaned.startsWith("```")) cleaned = cleaned.slice(3);
+    if (cleaned.endsWith("```")) cleaned = cleaned.slice(0, -3);
+    return cleaned.trim();
+}
+
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Extracts the JSON object from a model answer, tolerating code fences and
+// text around it. Throws if there is none.
+function parseJsonResponse(text) {
+    const cleaned = String(text || '').replace(/```(?:json)?/g, '');
+    const start = cleaned.indexOf('{');
+    const end = cleaned.lastIndexOf('}');
+    if (start === -1 || end <= start) throw new Error('Risposta AI non in formato JSON');
+    return JSON.parse(cleaned.slice(start, end + 1));
+}
+
+function formatReportDate(date = new Date()) {
+    return date.toLocaleDateString("it-IT", {
+        weekday: 'long',
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+    });
+}
+
+// Incremental cleanHtmlResponse for streamed output. Nothing is emitted until
+// it is clear whether the text opens with a code fence, and trailing
+// backticks/whitespace are held back until end() in case they close one.
+function createHtmlStreamCleaner() {
+    let head = '';
+    let started = false;
+    let leading = true;
+    let pending = '';
+
+    function emit(text) {
+        let buffer = pending + text;
+        if (leading) buffer = buffer.trimStart();
+        const held = buffer.match(/[`\s]*$/)[0];
+        pending = held;
+        const out = buffer.slice(0, buffer.length - held.length);
+        if (out) leading = false;
+        return out;
+    }
+
+    return {
+        push(chunk) {
+            if (started) return emit(chunk);
+
+            head += chunk;
+            let text = head.trimStart();
+            if ("```html".startsWith(text)) return '';
+
+            started = true;
+            if (text.startsWith("```html")) text = text.slice(7);
+            if (text.startsWith("```")) text = text.slice(3);
+            return emit(text);
+        },
+        end() {
+            if (!started) return cleanHtmlResponse(head);
+
+            let tail = pending.trimEnd();
+            if (tail.endsWith("```")) tail = tail.slice(0, -3);
+            tail = tail.trimEnd();
+            return leading ? tail.trimStart() : tail;
+        }
+    };
+}
+
+// --- SERVER-SENT EVENTS ---
+function openSseStream(res) {
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+}
+
+function sendSseEvent(res, event, data) {
+    if (res.writableEnded || res.destroyed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Streams a completion to the client as "token" events with code fences
+// stripped, and resolves with the raw completion. Output that may still turn
+// out to start with holdPrefix is withheld, and suppressed if it does.
+// The upstream request is aborted if the client disconnects.
+async function streamCompletion(res, messages, { purpose = 'report', maxTokens = 8000, holdPrefix, meter } = {}) {
+    const cleaner = createHtmlStreamCleaner();
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) controller.abort();
+    });
+
+    let raw = '';
+    let gated = Boolean(holdPrefix);
+    let suppressed = false;
+
+    const forward = text => {
+        const out = cleaner.push(text);
+        if (out) sendSseEvent(res, 'token', { text: out });
+    };
+
+    const release = () => {
+        gated = false;
+        if (raw.trimStart().startsWith(holdPrefix)) suppressed = true;
+        else forward(raw);
+    };
+
+    await aiStream(purpose, messages, {
+        maxTokens,
+        meter,
+        signal: controller.signal,
+        onToken: token => {
+            raw += token;
+            if (suppressed) return;
+            if (!gated) return forward(token);
+            if (!holdPrefix.startsWith(raw.trimStart())) release();
+        }
+    });
+
+    if (gated) release();
+    if (!suppressed) {
+        const tail = cleaner.end();
+        if (tail) sendSseEvent(res, 'token', { text: tail });
+    }
+    return raw;
+}
+
+// --- CREDITS ---
+// Billing periods are calendar months in UTC ("YYYY-MM").
+function currentCreditPeriod(date = new Date()) {
+    return date.toISOString().slice(0, 7);
+}
+
+function creditBalance(user) {
+    return (user.creditsTotal ?? getPlan(user.plan).monthlyCredits) - (user.creditsUsed || 0);
+}
+
+async function addLedgerEntry(ledger, entry) {
+    await db.ref(ledger).push({
+        ...entry,
+        timestamp: new Date().toISOString()
+    });
+}
+
+// Returns the updates that open a new billing period when the month has
+// changed since the last one, or null if the user is already current.
+// Credits are spent from the plan's allowance before granted ones, so unused
+// granted credits always carry over; unused plan credits are rolled over if
+// the plan allows it. Accounts from before billing periods keep their
+// credits in their first one.
+function creditPeriodUpdates(user, period = currentCreditPeriod()) {
+    if (user.creditsPeriod === period) return null;
+
+    const plan = getPlan(user.plan);
+    if (!user.creditsPeriod) {
+        return {
+            creditsPeriod: period,
+            creditsUsed: user.creditsUsed || 0,
+            creditsTotal: user.creditsTotal ?? plan.monthlyCredits,
+            creditsRolledOver: 0,
+            creditsGranted: user.creditsGranted || 0
+        };
+    }
+
+    const unused = Math.max(creditBalance(user), 0);
+    const granted = Math.min(unused, Math.max(user.creditsGranted || 0, 0));
+    let rolledOver = 0;
+    if (plan.rollover) {
+        rolledOver = Math.min(unused - granted, plan.maxRolloverCredits);
+    }
+
+    return {
+        creditsPeriod: period,
+        creditsUsed: 0,
+        creditsTotal: plan.monthlyCredits + rolledOver + granted,
+        creditsRolledOver: rolledOver,
+        creditsGranted: granted
+    };
+}
+
+async function logCreditReset(ledger, reset) {
+    await addLedgerEntry(ledger, {
+        type: 'reset',
+        period: reset.creditsPeriod,
+        amount: reset.creditsTotal,
+        rolledOver: reset.creditsRolledOver,
+        granted: reset.creditsGranted,
+        balance: reset.creditsTotal - reset.creditsUsed
+    });
+}
+
+// Opens the current billing period on a credit account (see
+// userCreditAccount and orgCreditAccount) and returns the account record
+async function syncCreditPeriod(account) {
+    let reset = null;
+    const { committed, snapshot } = await db.ref(account.path).transaction(holder => {
+        if (!holder) return holder;
+        reset = creditPeriodUpdates(holder);
+        if (!reset) return; // already current, abort without writing
+        return { ...holder, ...reset };
+    });
+
+    if (committed && reset && snapshot.val()) await logCreditReset(account.ledger, reset);
+    return snapshot.val();
+}
+
+// Moves a credit account to another plan and tops its credits for the
+// current period up to the new plan's allowance, keeping rolled over and
+// granted credits. entry adds who made the change to the ledger entry.
+// Returns { holder, previousPlan }, or null if the account does not exist.
+async function changePlan(account, plan, entry = {}) {
+    let previousPlan = null;
+    let reset = null;
+    const { committed, snapshot } = await db.ref(account.path).transaction(holder => {
+        if (!holder) return holder;
+        previousPlan = holder.plan || DEFAULT_PLAN;
+        reset = creditPeriodUpdates(holder);
+
+        const next = { ...holder, ...reset, plan };
+        next.creditsTotal = getPlan(plan).monthlyCredits + (next.creditsRolledOver || 0) + (next.creditsGranted || 0);
+        return next;
+    });
+    const holder = snapshot.val();
+    if (!committed || !holder) return null;
+    forgetAccountState(account);
+
+    if (reset) await logCreditReset(account.ledger, reset);
+    await addLedgerEntry(account.ledger, {
+        type: 'plan-change',
+        plan,
+        previousPlan,
+        amount: holder.creditsTotal,
+        balance: creditBalance(holder),
+        ...entry
+    });
+    return { holder, previousPlan };
+}
+
+// Credits are debited in two steps. reserveCredits atomically checks the
+// balance, debits the amount and records it in the ledger; the caller then
+// either commits the reservation once the AI step succeeded or releases it,
+// which refunds the amount with a 'refund' ledger entry. Reservations in
+// creditReservations/{userId}/{id} are settled exactly once.
+// Work on an organization's project or call (orgId) is charged on its shared
+// pool, anything else on the user's own credits.
+async function reserveCredits(userId, amount, endpoint, orgId = null) {
+    if (!db) return { success: false, error: 'Database non configurato' };
+
+    const account = orgId ? orgCreditAccount(orgId) : userCreditAccount(userId);
+    let reset = null;
+    let available = null;
+    const { committed, snapshot } = await db.ref(account.path).transaction(holder => {
+        if (!holder) return holder;
+
+        reset = creditPeriodUpdates(holder);
+        const next = reset ? { ...holder, ...reset } : { ...holder };
+        available = creditBalance(next);
+        if (available < amount) return; // abort, insufficient credits
+
+        next.creditsUsed = (next.creditsUsed || 0) + amount;
+        return next;
+    });
+
+    const holder = snapshot.val();
+    if (!holder) return { success: false, error: account.orgId ? 'Organizzazione non trovata' : 'Utente non trovato' };
+
+    if (!committed) {
         return {
             success: false,
             error: `Crediti insufficienti (${available} disponibili, ${amount} richiesti)`,
@@ -317,304 +1632,5326 @@ async function useCredits(userId, amount) {
         };
     }
 
-    await userRef.update({ creditsUsed: creditsUsed + amount });
-    return { success: true, remaining: available - amount };
+    if (reset) await logCreditReset(account.ledger, reset);
+
+    const reservationRef = db.ref(`creditReservations/${userId}`).push();
+    await reservationRef.set({
+        amount,
+        endpoint,
+        account: account.path,
+        period: holder.creditsPeriod,
+        status: 'reserved',
+        createdAt: new Date().toISOString()
+    });
+    // Tasks included in the plan cost nothing and leave no ledger entry
+    if (amount > 0) {
+        await addLedgerEntry(account.ledger, {
+            type: 'debit',
+            userId: account.orgId ? userId : null,
+            endpoint,
+            amount,
+            balance: creditBalance(holder),
+            reservationId: reservationRef.key
+        });
+    }
+
+    return {
+        success: true,
+        id: reservationRef.key,
+        userId,
+        account,
+        amount,
+        endpoint,
+        period: holder.creditsPeriod,
+        remaining: creditBalance(holder)
+    };
+}
+
+// Moves a reservation out of 'reserved'. Returns the settled reservation, or
+// null if it was already settled.
+async function settleReservation(reservation, updates) {
+    const { committed, snapshot } = await db.ref(`creditReservations/${reservation.userId}/${reservation.id}`)
+        .transaction(stored => {
+            if (!stored || stored.status !== 'reserved') return;
+            return { ...stored, ...updates, settledAt: new Date().toISOString() };
+        });
+    return committed ? snapshot.val() : null;
+}
+
+async function accountBalance(account) {
+    const snapshot = await db.ref(account.path).once("value");
+    return creditBalance(snapshot.val() || {});
+}
+
+// Keeps the reserved credits spent. Returns the account's balance.
+async function commitCredits(reservation) {
+    await settleReservation(reservation, { status: 'committed' });
+    return accountBalance(reservation.account);
 }
 
-function validateRequired(body, fields) {
-    const missing = fields.filter(f => !body[f]);
-    if (missing.length > 0) {
-        return { valid: false, error: `Campi mancanti: ${missing.join(', ')}` };
+// Gives the reserved credits back, unless the reservation was settled
+// already. Returns the account's balance.
+async function releaseCredits(reservation, reason) {
+    try {
+        const released = await settleReservation(reservation, { status: 'refunded', reason: reason || null });
+        if (!released) return await accountBalance(reservation.account);
+
+        let restored = false;
+        const { snapshot } = await db.ref(reservation.account.path).transaction(holder => {
+            restored = false;
+            if (!holder) return holder;
+            // A monthly reset already cleared the usage this reservation held
+            if (holder.creditsPeriod !== released.period) return;
+            restored = true;
+            return { ...holder, creditsUsed: Math.max((holder.creditsUsed || 0) - released.amount, 0) };
+        });
+        const balance = creditBalance(snapshot.val() || {});
+        if (restored && released.amount > 0) {
+            await addLedgerEntry(reservation.account.ledger, {
+                type: 'refund',
+                userId: reservation.account.orgId ? reservation.userId : null,
+                endpoint: released.endpoint,
+                amount: released.amount,
+                reason: reason || null,
+                balance,
+                reservationId: reservation.id
+            });
+        }
+        return balance;
+    } catch (error) {
+        console.error('Credit refund failed:', reservation.id, error.message);
+        return reservation.remaining + reservation.amount;
     }
-    return { valid: true };
 }
 
-// --- PUBLIC ENDPOINTS ---
+// Adds amount to a reservation still held, for tasks that learn their full
+// cost while running. Returns { success: true } or { success: false, error }.
+async function extendReservation(reservation, amount) {
+    let available = null;
+    const { committed, snapshot } = await db.ref(reservation.account.path).transaction(holder => {
+        if (!holder) return holder;
+        // A monthly reset already cleared the usage this reservation held
+        if (holder.creditsPeriod !== reservation.period) return;
+        available = creditBalance(holder);
+        if (available < amount) return; // abort, insufficient credits
+        return { ...holder, creditsUsed: (holder.creditsUsed || 0) + amount };
+    });
+    if (!committed) {
+        return {
+            success: false,
+            error: available === null
+                ? 'Il periodo dei crediti è cambiato'
+                : `Crediti insufficienti (${available} disponibili, ${amount} richiesti)`
+        };
+    }
 
-app.get("/api/health", (req, res) => {
-    res.json({
-        status: "healthy",
-        version: "2.0",
-        timestamp: new Date().toISOString(),
-        services: {
-            firebase: db ? "connected" : "not configured",
-            ai: OPENROUTER_API_KEY ? "configured" : "not configured"
+    const { committed: held } = await db.ref(`creditReservations/${reservation.userId}/${reservation.id}`)
+        .transaction(stored => {
+            if (!stored || stored.status !== 'reserved') return;
+            return { ...stored, amount: stored.amount + amount };
+        });
+    if (!held) {
+        // Settled meanwhile: give the credits back
+        await db.ref(reservation.account.path).transaction(holder => holder && {
+            ...holder,
+            creditsUsed: Math.max((holder.creditsUsed || 0) - amount, 0)
+        });
+        return { success: false, error: 'Prenotazione dei crediti già chiusa' };
+    }
+
+    reservation.amount += amount;
+    await addLedgerEntry(reservation.account.ledger, {
+        type: 'debit',
+        userId: reservation.account.orgId ? reservation.userId : null,
+        endpoint: reservation.endpoint,
+        amount,
+        balance: creditBalance(snapshot.val()),
+        reservationId: reservation.id
+    });
+    return { success: true };
+}
+
+// Runs an AI task against a reservation. Credits are committed only when the
+// task returns usable content (non-empty text unless `usable` says otherwise);
+// on errors or empty output they are refunded.
+// refundIf lets callers refund results that are valid but not billable.
+async function withCredits(reservation, task, { usable = hasContent, refundIf } = {}) {
+    let result;
+    try {
+        result = await task();
+        if (!usable(result)) {
+            throw new Error('Risposta AI vuota');
         }
+    } catch (error) {
+        await releaseCredits(reservation, error.message);
+        throw error;
+    }
+
+    if (refundIf && refundIf(result)) {
+        const creditsRemaining = await releaseCredits(reservation, 'Risposta non addebitabile');
+        return { result, refunded: true, creditsRemaining };
+    }
+
+    const creditsRemaining = await commitCredits(reservation);
+    return { result, refunded: false, creditsRemaining };
+}
+
+// --- REPORT VERSIONS ---
+// Every generated, refined, edited or restored report is stored as a numbered
+// version. Metadata lives in reportVersions/{callId}/{n} and the HTML in
+// reportVersionContent/{callId}/{n}, so listings stay light.
+async function saveReportVersion(callId, userId, { html, source, instruction = null, params = null, restoredFrom = null }) {
+    html = referenceReportPhotos(html);
+    const { snapshot } = await db.ref(`calls/${callId}/reportVersionCount`)
+        .transaction(count => (count || 0) + 1);
+    const version = snapshot.val();
+    const now = new Date().toISOString();
+
+    await db.ref().update({
+        [`reportVersions/${callId}/${version}`]: {
+            version,
+            source,
+            instruction,
+            params,
+            restoredFrom,
+            length: html.length,
+            createdBy: userId,
+            createdAt: now
+        },
+        [`reportVersionContent/${callId}/${version}`]: html,
+        [`calls/${callId}/reportHtml`]: html,
+        [`calls/${callId}/reportVersion`]: version,
+        [`calls/${callId}/updatedAt`]: now
     });
-});
+    await reindexCall(callId);
 
-app.get("/api/ai/health", (req, res) => {
-    res.json({
-        status: "ok",
-        models: {
-            audio: MODEL_AUDIO,
-            text: MODEL_TEXT
+    return version;
+}
+
+// Puts one tag per line so that line diffs of generated HTML stay readable
+function normalizeHtmlForDiff(html) {
+    return (html || '').replace(/>\s*</g, '>\n<').trim() + '\n';
+}
+
+// --- SHARE LINKS ---
+// A share link gives read-only access to a call's report without logging in.
+// The token is "<linkId>.<expiry in seconds>.<signature>", signed with
+// SHARE_LINK_SECRET; the link itself is kept in shareLinks/{linkId} so it can
+// be revoked or protected by a password (stored as a scrypt hash). Every
+// attempt to open it is logged in shareViews/{linkId}.
+const SHARE_LINK_SECRET = process.env.SHARE_LINK_SECRET || "";
+const SHARE_DEFAULT_DAYS = 7;
+const SHARE_MAX_DAYS = 90;
+const SHARE_PASSWORD_MIN = 6;
+const SHARE_VIEWS_LIMIT = 200;
+
+const scryptAsync = promisify(crypto.scrypt);
+
+function signShareToken(linkId, expiresAt) {
+    const payload = `${linkId}.${Math.floor(new Date(expiresAt).getTime() / 1000)}`;
+    const signature = crypto.createHmac('sha256', SHARE_LINK_SECRET).update(payload).digest('base64url');
+    return `${payload}.${signature}`;
+}
+
+// Returns { linkId, expiresAt } for a token with a valid signature, or null
+function verifyShareToken(token) {
+    const [linkId, expiry, signature] = String(token).split('.');
+    if (!linkId || !/^\d+$/.test(expiry || '') || !signature) return null;
+
+    const expected = Buffer.from(signShareToken(linkId, Number(expiry) * 1000).split('.')[2]);
+    const received = Buffer.from(signature);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) return null;
+    return { linkId, expiresAt: new Date(Number(expiry) * 1000) };
+}
+
+async function hashSharePassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scryptAsync(password, salt, 32);
+    return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+async function checkSharePassword(password, stored) {
+    const [, salt, hash] = stored.split('$');
+    const expected = Buffer.from(hash, 'base64');
+    const actual = await scryptAsync(String(password), Buffer.from(salt, 'base64'), expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+// The link as shown to its owner: never the password hash
+function publicShareLink(link) {
+    const { passwordHash, ...rest } = link;
+    return {
+        ...rest,
+        hasPassword: Boolean(passwordHash),
+        active: !link.revokedAt && new Date(link.expiresAt) > new Date()
+    };
+}
+
+// Behind the hosting proxy the client is the first X-Forwarded-For entry
+function clientIp(req) {
+    return (req.headers['x-forwarded-for'] || '').split(',')[0].trim() || req.socket.remoteAddress || null;
+}
+
+async function logShareView(req, linkId, outcome) {
+    const now = new Date().toISOString();
+    await db.ref(`shareViews/${linkId}`).push({
+        outcome,
+        ip: clientIp(req),
+        userAgent: (req.headers['user-agent'] || '').slice(0, 300) || null,
+        timestamp: now
+    });
+    if (outcome === 'viewed') {
+        await db.ref(`shareLinks/${linkId}`).transaction(link => {
+            if (!link) return link;
+            return { ...link, viewCount: (link.viewCount || 0) + 1, lastViewedAt: now };
+        });
+    }
+}
+
+// --- ORGANIZATIONS AND ACCESS ---
+// A studio (organization) shares its projects, calls and templates among its
+// members. AI work on its records is charged to one pool kept on
+// orgs/{orgId}, with the same credit fields as a user; members' personal
+// records still use their own credits. Members are stored in orgMembers/{orgId}/{uid}
+// with a role; users/{uid}/orgId is the organization a user belongs to (at
+// most one). Users join only by accepting an invite, kept in
+// orgInvites/{orgId}/{uid} and mirrored in userInvites/{uid}/{orgId}. Records with an orgId belong to the organization, the others
+// to their userId alone.
+const ORG_ROLES = ['owner', 'editor', 'viewer'];
+const ORG_INVITE_DAYS = 14;
+// 'read' covers viewing and exporting, 'write' changes and AI work,
+// 'manage' deleting projects, moving them and administering the studio
+const ROLE_ACTIONS = {
+    owner: ['read', 'write', 'manage'],
+    editor: ['read', 'write'],
+    viewer: ['read']
+};
+const NOT_FOUND_ERRORS = {
+    projects: "Progetto non trovato",
+    calls: "Chiamata non trovata",
+    templates: "Template non trovato",
+    orgs: "Organizzazione non trovata"
+};
+
+async function loadMembership(orgId, userId) {
+    const snapshot = await db.ref(`orgMembers/${orgId}/${userId}`).once("value");
+    return snapshot.val();
+}
+
+// Role of the user on a project, call, template or organization
+async function recordRole(userId, collection, record) {
+    const orgId = collection === 'orgs' ? record.id : record.orgId;
+    if (orgId) return (await loadMembership(orgId, userId))?.role || null;
+    return record.userId === userId ? 'owner' : null;
+}
+
+// Returns { role } when the user may perform action on the record, or
+// { status, error }
+async function authorize(userId, collection, record, action) {
+    const role = await recordRole(userId, collection, record);
+    if (!role) return { status: 403, error: "Accesso negato" };
+    if (!ROLE_ACTIONS[role].includes(action)) {
+        return { status: 403, error: "Il tuo ruolo non consente questa operazione" };
+    }
+    return { role };
+}
+
+// Loads a record and authorizes action on it: { record, role } or
+// { status, error }
+async function loadAuthorized(collection, id, userId, action) {
+    const snapshot = await db.ref(`${collection}/${id}`).once("value");
+    const record = snapshot.val();
+    if (!record) return { status: 404, error: NOT_FOUND_ERRORS[collection] };
+
+    const { role, status, error } = await authorize(userId, collection, record, action);
+    if (!role) return { status, error };
+    return { record, role };
+}
+
+async function loadCall(userId, callId, action = 'read') {
+    const { record, ...access } = await loadAuthorized("calls", callId, userId, action);
+    return { call: record, ...access };
+}
+
+async function loadOrg(userId, orgId, action = 'read') {
+    const { record, ...access } = await loadAuthorized("orgs", orgId, userId, action);
+    return { org: record, ...access };
+}
+
+// Checks that the user may create records in orgId (null for personal ones)
+async function checkOrgWrite(userId, orgId) {
+    if (!orgId) return null;
+    const { org, status, error } = await loadOrg(userId, orgId, 'write');
+    return org ? null : { status, error };
+}
+
+function orgCreditAccount(orgId) {
+    return { path: `orgs/${orgId}`, ledger: `orgCreditLedger/${orgId}`, orgId };
+}
+
+function userCreditAccount(userId) {
+    return { path: `users/${userId}`, ledger: `creditLedger/${userId}`, userId, orgId: null };
+}
+
+// --- PROJECTS ---
+// A project groups the calls of one construction site. Archived projects stay
+// readable but are hidden from the default list.
+const PROJECT_STATUSES = ['active', 'archived'];
+const PROJECT_TEXT_FIELDS = ['title', 'description', 'color', 'client', 'siteAddress'];
+const PROJECT_DATE_FIELDS = ['startDate', 'endDate'];
+
+// Returns { updates } with the project fields of a validated body (see
+// SCHEMAS), or { error } when the dates are out of order.
+function validateProject(body, current = {}) {
+    const updates = {};
+    for (const field of PROJECT_TEXT_FIELDS) {
+        if (body[field] !== undefined) updates[field] = body[field] ? body[field].trim() : '';
+    }
+    for (const field of [...PROJECT_DATE_FIELDS, 'status']) {
+        if (body[field] !== undefined) updates[field] = body[field];
+    }
+    if (updates.title === '') return { error: "Il titolo non può essere vuoto" };
+
+    const startDate = updates.startDate !== undefined ? updates.startDate : current.startDate;
+    const endDate = updates.endDate !== undefined ? updates.endDate : current.endDate;
+    if (startDate && endDate && endDate < startDate) {
+        return { error: "La data di fine non può precedere la data di inizio" };
+    }
+    return { updates };
+}
+
+async function loadProject(userId, projectId, action = 'read') {
+    const { record, ...access } = await loadAuthorized("projects", projectId, userId, action);
+    return { project: record, ...access };
+}
+
+async function loadProjectCalls(projectId) {
+    const snapshot = await db.ref("calls").orderByChild("projectId").equalTo(projectId).once("value");
+    return snapshot.val() ? Object.values(snapshot.val()) : [];
+}
+
+// Multi-path update removing a call together with its versions, photos,
+// share links and search entries
+async function callRemovalUpdates(call) {
+    const [tokensSnap, linksSnap] = await Promise.all([
+        db.ref(`callSearchTokens/${call.id}`).once("value"),
+        db.ref("shareLinks").orderByChild("callId").equalTo(call.id).once("value")
+    ]);
+    const updates = {
+        [`calls/${call.id}`]: null,
+        [`reportVersions/${call.id}`]: null,
+        [`reportVersionContent/${call.id}`]: null,
+        [`callImages/${call.id}`]: null,
+        [`callImageData/${call.id}`]: null,
+        [`callSearchTokens/${call.id}`]: null
+    };
+    for (const token of (tokensSnap.val() || '').split(' ').filter(Boolean)) {
+        updates[`${searchIndexPath(call)}/${token}/${call.id}`] = null;
+    }
+    for (const linkId of Object.keys(linksSnap.val() || {})) {
+        updates[`shareLinks/${linkId}`] = null;
+        updates[`shareViews/${linkId}`] = null;
+    }
+    return updates;
+}
+
+function projectStats(calls) {
+    const dates = calls.map(c => c.createdAt).filter(Boolean).sort();
+    return {
+        calls: calls.length,
+        completed: calls.filter(c => c.status === 'completed').length,
+        drafts: calls.filter(c => c.status === 'draft').length,
+        withReport: calls.filter(c => c.reportHtml).length,
+        firstCallAt: dates[0] || null,
+        lastCallAt: dates[dates.length - 1] || null
+    };
+}
+
+// --- ACTION ITEMS ---
+// Punch list of a project, stored in actionItems/{projectId}/{itemId}. Items
+// remember the call that raised them (raisedInCallId) and the one that
+// closed them (closedInCallId). Open items are given to the model when a new
+// report is generated for the project.
+const ACTION_ITEM_STATUSES = ['open', 'closed'];
+// Also used for the issues of a structured extraction
+const ISSUE_SEVERITIES = ['low', 'medium', 'high', 'critical'];
+const ACTION_ITEM_FIELDS = ['description', 'owner', 'dueDate', 'area', 'severity'];
+
+async function loadActionItems(projectId, status) {
+    const ref = db.ref(`actionItems/${projectId}`);
+    const snapshot = status ? await ref.orderByChild("status").equalTo(status).once("value") : await ref.once("value");
+    return Object.values(snapshot.val() || {})
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+}
+
+// Checks that a call referenced by an item belongs to the project
+async function checkItemCall(projectId, callId) {
+    if (!callId) return null;
+    const snapshot = await db.ref(`calls/${callId}`).once("value");
+    const call = snapshot.val();
+    if (!call || call.projectId !== projectId) return "La chiamata indicata non appartiene al progetto";
+    return null;
+}
+
+function newActionItem(projectId, userId, fields, raisedInCallId = null) {
+    const now = new Date().toISOString();
+    const item = {
+        id: db.ref(`actionItems/${projectId}`).push().key,
+        projectId,
+        status: 'open',
+        raisedInCallId,
+        closedInCallId: null,
+        createdBy: userId,
+        createdAt: now,
+        updatedAt: now,
+        closedAt: null
+    };
+    for (const field of ACTION_ITEM_FIELDS) {
+        item[field] = typeof fields[field] === 'string' ? fields[field].trim() || null : fields[field] ?? null;
+    }
+    return item;
+}
+
+// Open items as listed in the report prompts
+function formatOpenItems(items) {
+    if (items.length === 0) return "nessuna";
+    return JSON.stringify(items.map(item => ({
+        descrizione: item.description,
+        responsabile: item.owner,
+        scadenza: item.dueDate,
+        area: item.area,
+        apertaIl: item.createdAt.slice(0, 10)
+    })));
+}
+
+// --- LISTINGS AND SEARCH ---
+// Projects and calls carry sort keys "<owner>|<createdAt>|<id>" so listings
+// can be read a page at a time, newest first, from an ordered query:
+// userSortKey on both, orgSortKey on those of an organization, projectSortKey
+// on calls. The cursor is the sort key of the last item returned. Filters
+// that have no index are applied while scanning, reading at most
+// LIST_MAX_SCAN records per request.
+// Calls are also indexed for search under searchIndex/{uid}/{token}/{callId},
+// or orgSearchIndex/{orgId}/... for those of an organization, with each
+// call's tokens kept in callSearchTokens/{callId}.
+const LIST_DEFAULT_LIMIT = 50;
+const LIST_MAX_LIMIT = 100;
+const LIST_MAX_SCAN = 1000;
+const SEARCH_DEFAULT_LIMIT = 20;
+const SEARCH_MAX_LIMIT = 50;
+const SEARCH_MAX_CANDIDATES = 200;
+const SEARCH_MAX_TOKENS = 5000;
+const LIST_MIGRATION_BATCH = 200;
+
+const SEARCH_STOPWORDS = new Set([
+    'che', 'chi', 'con', 'dal', 'dai', 'dei', 'del', 'della', 'delle', 'dello', 'degli', 'dalla', 'dalle',
+    'nel', 'nella', 'nelle', 'nei', 'negli', 'sul', 'sulla', 'sulle', 'sui', 'per', 'tra', 'fra', 'una',
+    'uno', 'gli', 'non', 'sono', 'come', 'anche', 'alla', 'alle', 'allo', 'agli', 'questo', 'questa',
+    'quello', 'quella', 'essere', 'stato', 'stata', 'hanno', 'viene', 'piu', 'poi', 'gia'
+]);
+
+function sortKeys(collection, record) {
+    const suffix = `${record.createdAt}|${record.id}`;
+    const keys = {};
+    if (collection === 'projects' || collection === 'calls') {
+        keys.userSortKey = `${record.userId}|${suffix}`;
+        keys.orgSortKey = record.orgId ? `${record.orgId}|${suffix}` : null;
+    }
+    if (collection === 'calls') keys.projectSortKey = `${record.projectId}|${suffix}`;
+    if (collection === 'adminAudit') keys.targetKey = record.targetUserId ? `${record.targetUserId}|${record.id}` : null;
+    return keys;
+}
+
+function foldText(text) {
+    return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+function htmlToText(html) {
+    return String(html || '')
+        .replace(/<(style|script)[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&')
+        .replace(/&[a-z]+;|&#\d+;/gi, ' ');
+}
+
+function searchTokens(text) {
+    const tokens = new Set();
+    for (const word of foldText(text).split(/[^a-z0-9]+/)) {
+        if (word.length < 3 || word.length > 40 || SEARCH_STOPWORDS.has(word)) continue;
+        tokens.add(word);
+        if (tokens.size >= SEARCH_MAX_TOKENS) break;
+    }
+    return tokens;
+}
+
+// The searchable text of a call, by field
+function callSearchFields(call) {
+    return {
+        title: [call.title, call.roomTitle].filter(Boolean).join(' '),
+        summary: call.summary || '',
+        transcript: call.transcript || '',
+        report: htmlToText(call.reportHtml)
+    };
+}
+
+function searchIndexPath(call) {
+    return call.orgId ? `orgSearchIndex/${call.orgId}` : `searchIndex/${call.userId}`;
+}
+
+// Returns the multi-path updates bringing the search index of a call in line
+// with its current content. `previous` is the call as it was indexed, when
+// it has moved to another organization.
+async function searchIndexUpdates(call, previous = call) {
+    const tokensSnap = await db.ref(`callSearchTokens/${call.id}`).once("value");
+    const indexed = new Set((tokensSnap.val() || '').split(' ').filter(Boolean));
+    const current = searchTokens(Object.values(callSearchFields(call)).join(' '));
+    const moved = searchIndexPath(previous) !== searchIndexPath(call);
+
+    const updates = {};
+    for (const token of indexed) {
+        if (moved || !current.has(token)) updates[`${searchIndexPath(previous)}/${token}/${call.id}`] = null;
+    }
+    for (const token of current) {
+        if (moved || !indexed.has(token)) updates[`${searchIndexPath(call)}/${token}/${call.id}`] = true;
+    }
+    updates[`callSearchTokens/${call.id}`] = [...current].join(' ') || null;
+    return updates;
+}
+
+async function reindexCall(callId) {
+    const snapshot = await db.ref(`calls/${callId}`).once("value");
+    if (!snapshot.val()) return;
+    await db.ref().update(await searchIndexUpdates(snapshot.val()));
+}
+
+// One-off migration (scripts/migrate-list-indexes.js) adding sort keys and
+// search entries to projects, calls and admin audit entries created before
+// they existed. Walks
+// the collections by key, so it can be run again or resumed safely.
+// Returns how many records of each collection it went through.
+async function migrateListIndexes() {
+    const migrated = { projects: 0, calls: 0, adminAudit: 0 };
+    for (const collection of Object.keys(migrated)) {
+        let after = null;
+        for (;;) {
+            let query = db.ref(collection).orderByKey();
+            if (after) query = query.startAfter(after);
+            const snapshot = await query.limitToFirst(LIST_MIGRATION_BATCH).once("value");
+
+            const batch = [];
+            snapshot.forEach(child => { batch.push({ ...child.val(), id: child.key }); });
+            if (batch.length === 0) break;
+
+            const updates = {};
+            for (const record of batch) {
+                for (const [field, value] of Object.entries(sortKeys(collection, record))) {
+                    updates[`${collection}/${record.id}/${field}`] = value;
+                }
+                if (collection === 'calls') Object.assign(updates, await searchIndexUpdates(record));
+            }
+            await db.ref().update(updates);
+            migrated[collection] += batch.length;
+            after = batch[batch.length - 1].id;
         }
+    }
+    return migrated;
+}
+
+// Listings page only when asked to, so clients that expect the whole list
+// keep getting an array
+function isPageRequest(req) {
+    return req.query.limit !== undefined || req.query.cursor !== undefined;
+}
+
+function encodeCursor(sortKey) {
+    return Buffer.from(sortKey).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    return Buffer.from(String(cursor), 'base64url').toString();
+}
+
+// Every record of collection within the sort keys starting with `prefix`,
+// newest first, for clients that don't page. Takes the same options as
+// listPage.
+async function listAll(collection, field, prefix, { from, to, matches = () => true }) {
+    const snapshot = await db.ref(collection).orderByChild(field)
+        .startAt(`${prefix}|${from || ''}`)
+        .endAt(`${prefix}|${to || ''}\uf8ff`)
+        .once("value");
+    const items = [];
+    snapshot.forEach(child => {
+        if (matches(child.val())) items.push(child.val());
     });
+    return items.reverse();
+}
+
+// Reads one page of collection ordered by `field`, newest first, within the
+// sort keys starting with `prefix`. from/to (YYYY-MM-DD) narrow the range
+// on createdAt, `matches` filters records while scanning.
+// Returns { items, nextCursor } or { error } for a cursor outside the range.
+async function listPage(collection, field, prefix, { limit, cursor, from, to, matches = () => true }) {
+    const lower = `${prefix}|${from || ''}`;
+    const upper = `${prefix}|${to || ''}\uf8ff`;
+    let before = null;
+    if (cursor) {
+        before = decodeCursor(cursor);
+        if (!before.startsWith(`${prefix}|`)) return { error: "Cursore non valido" };
+    }
+
+    const items = [];
+    let scanned = 0;
+    let nextCursor = null;
+    const batchSize = Math.min(limit * 2, LIST_MAX_LIMIT * 2);
+
+    while (items.length < limit) {
+        let query = db.ref(collection).orderByChild(field).startAt(lower);
+        query = before ? query.endBefore(before) : query.endAt(upper);
+        const snapshot = await query.limitToLast(batchSize).once("value");
+
+        const batch = [];
+        snapshot.forEach(child => { batch.push(child.val()); });
+        batch.reverse();
+
+        for (const record of batch) {
+            before = record[field];
+            scanned++;
+            if (matches(record)) items.push(record);
+            if (items.length === limit) break;
+        }
+
+        if (batch.length < batchSize && items.length < limit) {
+            before = null;
+            break;
+        }
+        // Keep the request bounded: return what was found and let the
+        // client continue from the last record scanned
+        if (scanned >= LIST_MAX_SCAN) break;
+    }
+    if (before) nextCursor = encodeCursor(before);
+
+    return { items, nextCursor };
+}
+
+function callHasArea(call, area) {
+    const wanted = normalizeAreaName(area);
+    return (call.areas || []).some(item =>
+        normalizeAreaName(typeof item === 'string' ? item : item?.name || item?.title) === wanted);
+}
+
+// Returns a short excerpt of text around the first of the terms it contains
+function searchSnippet(text, terms, length = 160) {
+    const folded = foldText(text);
+    const positions = terms.map(term => folded.indexOf(term)).filter(index => index >= 0);
+    if (positions.length === 0) return null;
+
+    const start = Math.max(0, Math.min(...positions) - Math.floor(length / 3));
+    const snippet = text.slice(start, start + length).replace(/\s+/g, ' ').trim();
+    return `${start > 0 ? '…' : ''}${snippet}${start + length < text.length ? '…' : ''}`;
+}
+
+// Finds the calls containing every term of the query (as a word prefix),
+// ranked by where the terms appear. Searches the organization's calls when
+// orgId is given, the user's personal ones otherwise.
+async function searchCalls(userId, query, { orgId, projectId, limit }) {
+    const indexPath = searchIndexPath({ orgId, userId });
+    const terms = [...searchTokens(query)];
+    if (terms.length === 0) return { terms, results: [] };
+
+    let candidates = null;
+    for (const term of terms) {
+        const snapshot = await db.ref(indexPath)
+            .orderByKey()
+            .startAt(term)
+            .endAt(`${term}\uf8ff`)
+            .once("value");
+        const ids = new Set();
+        for (const calls of Object.values(snapshot.val() || {})) {
+            for (const id of Object.keys(calls)) ids.add(id);
+        }
+        candidates = candidates ? new Set([...candidates].filter(id => ids.has(id))) : ids;
+        if (candidates.size === 0) return { terms, results: [] };
+    }
+
+    const snapshots = await Promise.all([...candidates].slice(0, SEARCH_MAX_CANDIDATES)
+        .map(id => db.ref(`calls/${id}`).once("value")));
+    const weights = { title: 5, summary: 3, report: 2, transcript: 1 };
+
+    const results = [];
+    for (const call of snapshots.map(s => s.val())) {
+        if (!call || searchIndexPath(call) !== indexPath) continue;
+        if (projectId && call.projectId !== projectId) continue;
+
+        const fields = callSearchFields(call);
+        let score = 0;
+        const matches = [];
+        for (const [field, text] of Object.entries(fields)) {
+            const words = [...searchTokens(text)];
+            const hits = terms.filter(term => words.some(word => word.startsWith(term))).length;
+            if (hits > 0) {
+                matches.push(field);
+                score += hits * weights[field];
+            }
+        }
+
+        const snippetField = ['transcript', 'summary', 'report', 'title'].find(f => matches.includes(f));
+        results.push({
+            id: call.id,
+            title: call.title,
+            projectId: call.projectId,
+            status: call.status,
+            createdAt: call.createdAt,
+            score,
+            matches,
+            snippet: snippetField ? searchSnippet(fields[snippetField], terms) : null
+        });
+    }
+
+    results.sort((a, b) => b.score - a.score || new Date(b.createdAt) - new Date(a.createdAt));
+    return { terms, results: results.slice(0, limit) };
+}
+
+// --- ADMINISTRATION ---
+// Admins manage plans, credits and suspensions of users. Credit grants
+// (negative amounts revoke) apply to the user's own credits and are tracked in
+// creditsGranted, so plan changes and new periods keep the unused ones.
+// Every change, and every look at a single user's data, is recorded in
+// adminAudit/{pushId}, with targetKey "<targetUserId>|<pushId>" so one
+// user's entries can be paged.
+const ADMIN_GRANT_MAX = 10000;
+const ADMIN_AUDIT_LIMIT = 100;
+
+async function recordAdminAction(req, action, targetUserId, details = {}) {
+    const entryRef = db.ref("adminAudit").push();
+    await entryRef.set({
+        ...sortKeys("adminAudit", { id: entryRef.key, targetUserId }),
+        adminId: req.user.uid,
+        action,
+        targetUserId,
+        details,
+        ip: clientIp(req),
+        timestamp: new Date().toISOString()
+    });
+}
+
+function adminUserSummary(id, user) {
+    return {
+        id,
+        name: user.name || null,
+        plan: user.plan || DEFAULT_PLAN,
+        orgId: user.orgId || null,
+        credits: {
+            used: user.creditsUsed || 0,
+            total: user.creditsTotal ?? getPlan(user.plan).monthlyCredits,
+            available: creditBalance(user),
+            granted: user.creditsGranted || 0,
+            period: user.creditsPeriod || null
+        },
+        suspended: user.suspended || null,
+        createdAt: user.createdAt || null
+    };
+}
+
+// Pages through users by id. q matches the start of the id or any part of
+// the name; filters are applied while scanning, as in listPage.
+async function adminUserPage({ q, plan, suspended, limit, cursor }) {
+    const wanted = foldText(q || '').trim();
+    const matches = (id, user) => (!wanted || id.toLowerCase().startsWith(wanted) || foldText(user.name).includes(wanted))
+        && (!plan || (user.plan || DEFAULT_PLAN) === plan)
+        && (suspended === undefined || Boolean(user.suspended) === suspended);
+
+    const items = [];
+    const batchSize = Math.min(limit * 2, LIST_MAX_LIMIT * 2);
+    let after = cursor ? decodeCursor(cursor) : null;
+    let scanned = 0;
+    let exhausted = false;
+
+    while (items.length < limit && scanned < LIST_MAX_SCAN) {
+        let query = db.ref("users").orderByKey();
+        if (after) query = query.startAfter(after);
+        const snapshot = await query.limitToFirst(batchSize).once("value");
+
+        const batch = [];
+        snapshot.forEach(child => { batch.push([child.key, child.val()]); });
+        for (const [index, [id, user]] of batch.entries()) {
+            after = id;
+            scanned++;
+            if (matches(id, user)) items.push(adminUserSummary(id, user));
+            if (items.length === limit) {
+                exhausted = batch.length < batchSize && index === batch.length - 1;
+                break;
+            }
+        }
+        if (items.length < limit && batch.length < batchSize) {
+            exhausted = true;
+            break;
+        }
+    }
+
+    return { items, nextCursor: exhausted || !after ? null : encodeCursor(after) };
+}
+
+// --- BILLING ---
+// Paid plans are subscriptions with a Stripe-compatible payment provider.
+// POST /api/billing/checkout opens a checkout session for a user or, for its
+// owner, an organization; the provider then reports payments and subscription
+// changes to POST /api/billing/webhook. Webhook requests are signed with
+// BILLING_WEBHOOK_SECRET in the Stripe-Signature header
+// ("t=<seconds>,v1=<hex HMAC-SHA256 of '<t>.<raw body>'>"). An active
+// subscription puts its account on the paid plan, topping its credits up
+// (see changePlan); once it ends the account goes back to DEFAULT_PLAN.
+// Processed event ids are kept in billingEvents/{eventId} so redelivered
+// events are applied once. BILLING_PROVIDER=mock opens checkout sessions
+// offline and scripts/billing-webhook.js plays the provider's side against a
+// local server.
+const STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || "";
+const STRIPE_API_URL = "https://api.stripe.com/v1";
+const BILLING_PROVIDER = process.env.BILLING_PROVIDER || 'stripe';
+const BILLING_WEBHOOK_SECRET = process.env.BILLING_WEBHOOK_SECRET || "";
+const BILLING_WEBHOOK_TOLERANCE = 300; // seconds between signing and delivery
+const BILLING_RETURN_URL = process.env.BILLING_RETURN_URL || 'https://archiflow-84df3.web.app/billing';
+// Stripe price of each plan that can be bought
+const BILLING_PRICES = {
+    Pro: process.env.STRIPE_PRICE_PRO || "",
+    Studio: process.env.STRIPE_PRICE_STUDIO || ""
+};
+const PAID_PLANS = Object.keys(BILLING_PRICES);
+// Subscription statuses that keep the paid plan; a failed renewal
+// (past_due) keeps it while the provider retries the payment
+const BILLING_ACTIVE_STATUSES = ['active', 'trialing', 'past_due'];
+
+// Stripe takes form encoded bodies with nested keys, e.g.
+// line_items[0][price]
+function stripeForm(params, form = new URLSearchParams(), prefix = '') {
+    for (const [key, value] of Object.entries(params)) {
+        if (value === null || value === undefined) continue;
+        const name = prefix ? `${prefix}[${key}]` : key;
+        if (typeof value === 'object') stripeForm(value, form, name);
+        else form.append(name, String(value));
+    }
+    return form;
+}
+
+function createStripeBillingProvider() {
+    return {
+        configured: Boolean(STRIPE_SECRET_KEY) && PAID_PLANS.every(plan => BILLING_PRICES[plan]),
+        async createCheckoutSession(params) {
+            const response = await fetch(`${STRIPE_API_URL}/checkout/sessions`, {
+                method: "POST",
+                headers: {
+                    "Authorization": `Bearer ${STRIPE_SECRET_KEY}`,
+                    "Content-Type": "application/x-www-form-urlencoded"
+                },
+                body: stripeForm(params)
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                console.error('Stripe error:', data.error?.message);
+                throw new Error(`Errore del servizio di pagamento: ${response.status}`);
+            }
+            return { id: data.id, url: data.url };
+        }
+    };
+}
+
+// Opens sessions without calling out; the checkout "page" is the success URL
+function createMockBillingProvider() {
+    return {
+        configured: true,
+        async createCheckoutSession(params) {
+            const id = `cs_mock_${crypto.randomBytes(12).toString('hex')}`;
+            return { id, url: params.success_url.replace('{CHECKOUT_SESSION_ID}', id) };
+        }
+    };
+}
+
+const BILLING_PROVIDERS = {
+    stripe: createStripeBillingProvider(),
+    mock: createMockBillingProvider()
+};
+
+function signBillingPayload(payload, timestamp) {
+    return crypto.createHmac('sha256', BILLING_WEBHOOK_SECRET).update(`${timestamp}.${payload}`).digest('hex');
+}
+
+// Checks a Stripe-Signature header against the raw request body. The header
+// may carry several v1 signatures (one per secret while it is rotated).
+function verifyBillingSignature(header, payload, now = Date.now()) {
+    const parts = String(header || '').split(',').map(part => part.trim().split('='));
+    const timestamp = Number(parts.find(([key]) => key === 't')?.[1]);
+    if (!Number.isInteger(timestamp) || Math.abs(now / 1000 - timestamp) > BILLING_WEBHOOK_TOLERANCE) return false;
+
+    const expected = Buffer.from(signBillingPayload(payload, timestamp));
+    return parts.some(([key, value]) => {
+        if (key !== 'v1' || !value) return false;
+        const received = Buffer.from(value);
+        return received.length === expected.length && crypto.timingSafeEqual(expected, received);
+    });
+}
+
+// The credit account a checkout was opened for, from the metadata set on the
+// session and its subscription
+function billingAccount(metadata = {}) {
+    if (metadata.orgId && ID_PATTERN.test(metadata.orgId)) return orgCreditAccount(metadata.orgId);
+    if (metadata.userId && ID_PATTERN.test(metadata.userId)) return userCreditAccount(metadata.userId);
+    return null;
+}
+
+// The plan a subscription pays for, from its price or else the checkout
+// metadata
+function subscriptionPlan(subscription) {
+    const priceId = subscription.items?.data?.[0]?.price?.id;
+    const plan = PAID_PLANS.find(name => BILLING_PRICES[name] && BILLING_PRICES[name] === priceId);
+    if (plan) return plan;
+    return PAID_PLANS.includes(subscription.metadata?.plan) ? subscription.metadata.plan : null;
+}
+
+// Brings an account in line with a subscription and returns what was done.
+// Events about a subscription other than the account's current one are
+// ignored, so a late update of a replaced subscription cannot undo the
+// new one.
+async function applySubscription(account, subscription, eventId) {
+    if (!account) return 'unknown-account';
+    const holderSnap = await db.ref(account.path).once("value");
+    const holder = holderSnap.val();
+    if (!holder) return 'unknown-account';
+
+    const billing = holder.billing || {};
+    const replacing = !BILLING_ACTIVE_STATUSES.includes(billing.status);
+    if (billing.subscriptionId && billing.subscriptionId !== subscription.id && !replacing) return 'ignored';
+
+    const active = BILLING_ACTIVE_STATUSES.includes(subscription.status);
+    const plan = active ? subscriptionPlan(subscription) : DEFAULT_PLAN;
+    if (!plan) return 'unknown-plan';
+
+    await db.ref(`${account.path}/billing`).set({
+        customerId: subscription.customer || billing.customerId || null,
+        subscriptionId: subscription.id,
+        status: subscription.status,
+        plan,
+        currentPeriodEnd: subscription.current_period_end
+            ? new Date(subscription.current_period_end * 1000).toISOString()
+            : billing.currentPeriodEnd || null,
+        updatedAt: new Date().toISOString()
+    });
+    if ((holder.plan || DEFAULT_PLAN) === plan) return 'updated';
+
+    await changePlan(account, plan, { billingEventId: eventId });
+    return active ? 'plan-changed' : 'downgraded';
+}
+
+async function handleBillingEvent(event) {
+    const object = event.data?.object || {};
+    switch (event.type) {
+        case 'checkout.session.completed':
+            if (object.mode !== 'subscription') return 'ignored';
+            // Payment methods that settle later complete the subscription
+            // through customer.subscription.updated
+            if (!['paid', 'no_payment_required'].includes(object.payment_status)) return 'pending';
+            return applySubscription(billingAccount(object.metadata), {
+                id: object.subscription,
+                customer: object.customer,
+                status: 'active',
+                metadata: object.metadata
+            }, event.id);
+        case 'customer.subscription.created':
+        case 'customer.subscription.updated':
+        case 'customer.subscription.deleted':
+            return applySubscription(billingAccount(object.metadata), object, event.id);
+        default:
+            return 'ignored';
+    }
+}
+
+// --- PROFESSIONAL PROFILE ---
+// Data printed in the report header and signature block. Text fields are
+// limited to PROFILE_TEXT_MAX characters, images are PNG/JPEG data URLs.
+const PROFILE_TEXT_FIELDS = ['fullName', 'professionalOrder', 'registrationNumber', 'studioName', 'studioAddress'];
+const PROFILE_IMAGE_FIELDS = ['logo', 'signature'];
+const PROFILE_TEXT_MAX = 200;
+const PROFILE_IMAGE_MAX_BYTES = 1024 * 1024; // 1 MB
+
+// Returns the profile fields of a validated body (see SCHEMAS). null clears
+// a field.
+function profileUpdates(body) {
+    const updates = {};
+    for (const field of PROFILE_TEXT_FIELDS) {
+        if (body[field] !== undefined) updates[field] = body[field] ? body[field].trim() : null;
+    }
+    for (const field of PROFILE_IMAGE_FIELDS) {
+        if (body[field] !== undefined) updates[field] = body[field];
+    }
+    return updates;
+}
+
+async function loadProfile(userId) {
+    if (!db) return {};
+    const snapshot = await db.ref(`users/${userId}`).once("value");
+    const user = snapshot.val() || {};
+    return { ...(user.profile || {}), fullName: user.profile?.fullName || user.name || null };
+}
+
+// Fills the placeholders of PROMPTS.reportGeneration with the profile.
+// Placeholders without profile data are left in place, so they can still be
+// filled once the profile is completed.
+function applyProfileToReport(html, profile) {
+    if (!html || !profile) return html;
+
+    const order = [profile.professionalOrder, profile.registrationNumber && `n. ${profile.registrationNumber}`]
+        .filter(Boolean).join(' - ');
+    const studio = [profile.studioName, profile.studioAddress].filter(Boolean).map(escapeHtml).join('<br>');
+    const values = {
+        LOGO_PLACEHOLDER: profile.logo && `<img src="${profile.logo}" alt="Logo" style="max-height: 60px; max-width: 200px;">`,
+        FIRMA_NOME: profile.fullName && escapeHtml(profile.fullName),
+        FIRMA_ORDINE: order && escapeHtml(order),
+        FIRMA_STUDIO: studio,
+        FIRMA_IMMAGINE: profile.signature && `<img src="${profile.signature}" alt="Firma" style="max-height: 70px; max-width: 220px;">`
+    };
+
+    return html.replace(/<!--\s*(LOGO_PLACEHOLDER|FIRMA_NOME|FIRMA_ORDINE|FIRMA_STUDIO|FIRMA_IMMAGINE)\s*-->/g,
+        (placeholder, name) => values[name] || placeholder);
+}
+
+// --- CALL PHOTOS ---
+// Photos are re-encoded to JPEG (auto-rotated, max PHOTO_MAX_SIZE px) and
+// kept in object storage at calls/{callId}/images/{imageId}.jpg. Metadata,
+// the storage path and a small thumbnail data URL live in
+// callImages/{callId}/{imageId}; photos saved before storage was used still
+// have their data URL in callImageData/{callId}/{imageId}. Stored reports
+// only reference photos (<img data-photo-id="...">): clients load them from
+// GET /api/calls/:id/images/:imageId, and the image data is inlined only
+// into exported documents and shared reports (inlineReportPhotos).
+// Originals go to storage first (kind "photo", see POST /api/uploads); a few
+// small ones may come in the request itself, up to REQUEST_FILE_MAX_BYTES
+// in total.
+const PHOTO_UPLOAD_MAX_BYTES = 15 * 1024 * 1024; // 15 MB per file, through storage
+const PHOTO_UPLOAD_MAX_FILES = 10;
+const PHOTO_MAX_SIZE = 1280;
+const PHOTO_THUMBNAIL_SIZE = 320;
+const PHOTO_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+const photoUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: REQUEST_FILE_MAX_BYTES, files: PHOTO_UPLOAD_MAX_FILES },
+    fileFilter: (req, file, cb) => {
+        const ok = PHOTO_MIME_TYPES.includes(file.mimetype);
+        cb(ok ? null : new Error('Formato immagine non supportato (JPEG, PNG o WebP)'), ok);
+    }
+});
+
+function receivePhotoUpload(req, res, next) {
+    const tooLarge = () => res.status(413).json({
+        error: `Immagini troppo grandi per l'invio diretto (max ${REQUEST_FILE_MAX_BYTES / 1024 / 1024} MB in tutto): caricale con /api/uploads`
+    });
+    photoUpload.array('images', PHOTO_UPLOAD_MAX_FILES)(req, res, err => {
+        if (!err) {
+            const total = (req.files || []).reduce((sum, file) => sum + file.size, 0);
+            return total > REQUEST_FILE_MAX_BYTES ? tooLarge() : next();
+        }
+        if (err.code === 'LIMIT_FILE_SIZE') return tooLarge();
+        if (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE') {
+            return res.status(400).json({ error: `Massimo ${PHOTO_UPLOAD_MAX_FILES} immagini per richiesta` });
+        }
+        return res.status(400).json({ error: err.message });
+    });
+}
+
+// Capture time and position from EXIF, when the camera recorded them
+async function readPhotoExif(buffer) {
+    try {
+        const exif = await exifr.parse(buffer, { tiff: true, exif: true, gps: true });
+        if (!exif) return { takenAt: null, gps: null };
+        const taken = exif.DateTimeOriginal || exif.CreateDate;
+        const hasGps = Number.isFinite(exif.latitude) && Number.isFinite(exif.longitude);
+        return {
+            takenAt: taken instanceof Date && !isNaN(taken) ? taken.toISOString() : null,
+            gps: hasGps ? {
+                latitude: exif.latitude,
+                longitude: exif.longitude,
+                altitude: Number.isFinite(exif.GPSAltitude) ? exif.GPSAltitude : null
+            } : null
+        };
+    } catch (error) {
+        return { takenAt: null, gps: null };
+    }
+}
+
+async function processPhoto(buffer) {
+    const { takenAt, gps } = await readPhotoExif(buffer);
+    const image = await sharp(buffer)
+        .rotate()
+        .resize({ width: PHOTO_MAX_SIZE, height: PHOTO_MAX_SIZE, fit: 'inside', withoutEnlargement: true })
+        .jpeg({ quality: 80 })
+        .toBuffer({ resolveWithObject: true });
+    const thumbnail = await sharp(image.data)
+        .resize({ width: PHOTO_THUMBNAIL_SIZE, height: PHOTO_THUMBNAIL_SIZE, fit: 'inside' })
+        .jpeg({ quality: 70 })
+        .toBuffer();
+
+    return {
+        data: image.data,
+        thumbnail: `data:image/jpeg;base64,${thumbnail.toString('base64')}`,
+        width: image.info.width,
+        height: image.info.height,
+        size: image.data.length,
+        takenAt,
+        gps
+    };
+}
+
+function normalizeAreaName(text) {
+    return String(text || '')
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/<[^>]*>/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .toLowerCase();
+}
+
+function photoFigure(photo) {
+    const details = [
+        photo.caption,
+        photo.takenAt && new Date(photo.takenAt).toLocaleDateString("it-IT")
+    ].filter(Boolean).map(escapeHtml).join(' - ');
+    return `<figure class="report-photo" style="margin: 15px 0; text-align: center;">` +
+        `<img data-photo-id="${photo.id}" alt="${escapeHtml(photo.caption || photo.area || 'Foto')}" style="max-width: 100%; max-height: 400px; border-radius: 4px;">` +
+        (details ? `<figcaption style="font-size: 12px; color: #666; margin-top: 6px;">${details}</figcaption>` : '') +
+        `</figure>`;
+}
+
+// Replaces the report's photo placeholders with the call's photos. A photo
+// goes to a placeholder of its area, recognized from the placeholder text or
+// from the nearest heading above it. Extra photos of an area are appended to
+// its last placeholder; placeholders without a matching photo are kept.
+async function placeCallPhotos(callId, html) {
+    if (!db || !html) return html;
+
+    const snapshot = await db.ref(`callImages/${callId}`).once("value");
+    const photos = snapshot.val() ? Object.values(snapshot.val()).filter(p => p.area) : [];
+    if (photos.length === 0) return html;
+
+    const placeholderPattern = /<div[^>]*class="[^"]*photo-placeholder[^"]*"[^>]*>([\s\S]*?)<\/div>/g;
+    const headingPattern = /<(h[1-6]|strong|b)\b[^>]*>([\s\S]*?)<\/\1>/g;
+    const placeholders = [];
+    for (const match of html.matchAll(placeholderPattern)) {
+        const before = html.slice(0, match.index);
+        const headings = [...before.matchAll(headingPattern)];
+        placeholders.push({
+            start: match.index,
+            end: match.index + match[0].length,
+            text: normalizeAreaName(match[1]),
+            heading: normalizeAreaName(headings.length ? headings[headings.length - 1][2] : ''),
+            photos: []
+        });
+    }
+
+    const areaOf = placeholder => photo => {
+        const area = normalizeAreaName(photo.area);
+        return placeholder.text.includes(area) || placeholder.heading.includes(area);
+    };
+    const sorted = photos.sort((a, b) => (a.takenAt || a.uploadedAt).localeCompare(b.takenAt || b.uploadedAt));
+    const unplaced = new Set(sorted);
+
+    // One photo per placeholder first, then the rest of each area at its end
+    for (const placeholder of placeholders) {
+        const photo = [...unplaced].find(areaOf(placeholder));
+        if (photo) {
+            placeholder.photos.push(photo);
+            unplaced.delete(photo);
+        }
+    }
+    for (const photo of [...unplaced]) {
+        const target = placeholders.filter(p => areaOf(p)(photo)).pop();
+        if (target) {
+            target.photos.push(photo);
+            unplaced.delete(photo);
+        }
+    }
+
+    const used = placeholders.filter(p => p.photos.length);
+    if (used.length === 0) return html;
+
+    let result = html;
+    for (const placeholder of used.reverse()) {
+        const figures = placeholder.photos.map(photoFigure).join('');
+        result = result.slice(0, placeholder.start) + figures + result.slice(placeholder.end);
+    }
+    return result;
+}
+
+const PHOTO_IMG_PATTERN = /<img\b[^>]*\bdata-photo-id="([A-Za-z0-9_-]+)"[^>]*>/g;
+
+// Drops image data from photo references, e.g. when a client saves back a
+// report it displayed with the photos loaded
+function referenceReportPhotos(html) {
+    return (html || '').replace(PHOTO_IMG_PATTERN, tag => tag.replace(/\ssrc="[^"]*"/, ''));
+}
+
+// Removes the report's references to the given photos, with the figure
+// around them when it holds nothing else, e.g. once the photos are deleted
+function removeReportPhotos(html, ids) {
+    const removed = new Set(ids);
+    if (!html || removed.size === 0) return html;
+    return html
+        .replace(/<figure\b[^>]*>[\s\S]*?<\/figure>/g, figure => {
+            const refs = [...figure.matchAll(PHOTO_IMG_PATTERN)].map(match => match[1]);
+            return refs.length && refs.every(id => removed.has(id)) ? '' : figure;
+        })
+        .replace(PHOTO_IMG_PATTERN, (tag, id) => (removed.has(id) ? '' : tag));
+}
+
+function photoStoragePath(callId, imageId) {
+    return `calls/${callId}/images/${imageId}.jpg`;
+}
+
+// The JPEG data of a photo (its callImages record), from storage or, for
+// photos saved before it was used, from callImageData. Null when missing.
+async function readPhotoData(callId, image) {
+    if (image.storagePath) {
+        if (!storage || !(await storage.stat(image.storagePath))) return null;
+        return storage.read(image.storagePath);
+    }
+    const snapshot = await db.ref(`callImageData/${callId}/${image.id}`).once("value");
+    return snapshot.val() ? Buffer.from(snapshot.val().split(',')[1], 'base64') : null;
+}
+
+// Removes the stored files of a call's photos; their records go with the
+// call's other data (callRemovalUpdates)
+async function removeCallPhotoFiles(callId) {
+    if (!storage) return;
+    const snapshot = await db.ref(`callImages/${callId}`).once("value");
+    const paths = Object.values(snapshot.val() || {}).map(image => image.storagePath).filter(Boolean);
+    await Promise.all(paths.map(path => storage.remove(path)));
+}
+
+// Puts the call's image data into the report's photo references, for
+// documents read outside the app. References to photos that no longer exist
+// are dropped, so older versions don't show broken images.
+async function inlineReportPhotos(callId, html) {
+    if (!db || !html) return html;
+
+    const ids = [...new Set([...html.matchAll(PHOTO_IMG_PATTERN)].map(match => match[1]))];
+    if (ids.length === 0) return html;
+    const imagesSnap = await db.ref(`callImages/${callId}`).once("value");
+    const images = imagesSnap.val() || {};
+    const data = new Map(await Promise.all(ids.map(async id => [id, images[id] ? await readPhotoData(callId, images[id]) : null])));
+
+    return removeReportPhotos(html, ids.filter(id => !data.get(id)))
+        .replace(PHOTO_IMG_PATTERN, (tag, id) => tag
+            .replace(/\ssrc="[^"]*"/, '')
+            .replace(/^<img\b/, `<img src="data:image/jpeg;base64,${data.get(id).toString('base64')}"`));
+}
+
+// --- AUDIO PROCESSING ---
+// Recordings of a whole site visit are uploaded to storage (up to
+// AUDIO_UPLOAD_MAX_BYTES); short ones may come in the request itself.
+const AUDIO_UPLOAD_MAX_BYTES = 500 * 1024 * 1024; // 500 MB
+const AUDIO_SEGMENT_SECONDS = 600; // recordings are transcribed in 10 minute segments
+const AUDIO_MINUTES_PER_CREDIT = 10;
+const AUDIO_TRANSCRIBE_CONCURRENCY = 3;
+
+// Browsers often label MediaRecorder output as video/webm
+function isAudioType(mimeType) {
+    return mimeType.startsWith('audio/') || mimeType === 'video/webm' || mimeType === 'video/mp4';
+}
+
+const audioUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: REQUEST_FILE_MAX_BYTES, files: 1 },
+    fileFilter: (req, file, cb) => {
+        const ok = isAudioType(file.mimetype);
+        cb(ok ? null : new Error('Formato audio non supportato'), ok);
+    }
+});
+
+function receiveAudioUpload(req, res, next) {
+    audioUpload.single('audio')(req, res, err => {
+        if (!err) return next();
+        if (err.code === 'LIMIT_FILE_SIZE') {
+            return res.status(413).json({
+                error: `File audio troppo grande per l'invio diretto (max ${REQUEST_FILE_MAX_BYTES / 1024 / 1024} MB): caricalo con /api/uploads`
+            });
+        }
+        return res.status(400).json({ error: err.message });
+    });
+}
+
+function transcribeAudio(base64Audio, mimeType, meter, signal) {
+    return aiComplete('transcription', [{
+        role: "user",
+        content: [
+            { type: "text", text: PROMPTS.transcription },
+            { type: "image_url", image_url: { url: `data:${mimeType};base64,${base64Audio}` } }
+        ]
+    }], { maxTokens: 4000, meter, signal });
+}
+
+// Reads the duration ffmpeg reports for a file. Only used on the segments we
+// produce ourselves, since MediaRecorder uploads often carry no duration.
+async function probeAudioDuration(file, signal) {
+    const { stderr } = await execFileAsync(ffmpegPath, ['-hide_banner', '-i', file], { signal })
+        .catch(error => error); // ffmpeg exits non-zero when no output is given
+    const match = /Duration: (\d+):(\d+):(\d+(?:\.\d+)?)/.exec(stderr || '');
+    if (!match) throw new Error('Durata audio non leggibile');
+    return Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]);
+}
+
+// Re-encodes a recording to mono mp3 and splits it into fixed-length
+// segments. Returns the segments in order with their offsets in seconds.
+async function splitAudio(inputFile, workDir, signal) {
+    await execFileAsync(ffmpegPath, [
+        '-hide_banner', '-loglevel', 'error',
+        '-i', inputFile,
+        '-vn', '-ac', '1', '-ar', '16000', '-c:a', 'libmp3lame', '-b:a', '48k',
+        '-f', 'segment', '-segment_time', String(AUDIO_SEGMENT_SECONDS), '-reset_timestamps', '1',
+        path.join(workDir, 'segment_%03d.mp3')
+    ], { maxBuffer: 10 * 1024 * 1024, signal });
+
+    const files = (await fs.readdir(workDir)).filter(f => f.startsWith('segment_')).sort();
+    const segments = [];
+    let start = 0;
+    for (const [index, file] of files.entries()) {
+        const filePath = path.join(workDir, file);
+        const duration = await probeAudioDuration(filePath, signal);
+        segments.push({ index, file: filePath, start, end: start + duration });
+        start += duration;
+    }
+    return segments;
+}
+
+function formatTimestamp(seconds) {
+    const total = Math.floor(seconds);
+    const h = String(Math.floor(total / 3600)).padStart(2, '0');
+    const m = String(Math.floor((total % 3600) / 60)).padStart(2, '0');
+    const s = String(total % 60).padStart(2, '0');
+    return `${h}:${m}:${s}`;
+}
+
+// Transcribes segments with limited concurrency, preserving their order
+async function transcribeSegments(segments, meter, signal) {
+    const results = new Array(segments.length);
+    let next = 0;
+
+    async function worker() {
+        while (next < segments.length) {
+            signal?.throwIfAborted();
+            const segment = segments[next++];
+            const audio = await fs.readFile(segment.file);
+            const text = await transcribeAudio(audio.toString('base64'), 'audio/mpeg', meter, signal);
+            results[segment.index] = {
+                index: segment.index,
+                start: formatTimestamp(segment.start),
+                end: formatTimestamp(segment.end),
+                startSeconds: Math.round(segment.start),
+                endSeconds: Math.round(segment.end),
+                text: (text || '').trim()
+            };
+        }
+    }
+
+    await Promise.all(Array.from({ length: Math.min(AUDIO_TRANSCRIBE_CONCURRENCY, segments.length) }, worker));
+    return results;
+}
+
+function stitchTranscript(segments) {
+    return segments
+        .filter(s => s.text)
+        .map(s => `[${s.start} - ${s.end}]\n${s.text}`)
+        .join('\n\n');
+}
+
+// --- UPLOADS ---
+// Files too large for a request body go straight to storage. POST
+// /api/uploads records uploads/{id} and returns a signed URL the client PUTs
+// the file to within UPLOAD_URL_TTL_MS; the endpoint that uses the file then
+// takes its uploadId. Files live under uploads/{userId}/{id} until used;
+// abandoned ones are left to a lifecycle rule on that prefix.
+const UPLOAD_URL_TTL_MS = 15 * 60 * 1000;
+const UPLOAD_KINDS = {
+    audio: { maxBytes: AUDIO_UPLOAD_MAX_BYTES, accepts: isAudioType, typeMessage: 'deve essere un tipo audio' },
+    photo: {
+        maxBytes: PHOTO_UPLOAD_MAX_BYTES,
+        accepts: type => PHOTO_MIME_TYPES.includes(type),
+        typeMessage: `deve essere uno tra: ${PHOTO_MIME_TYPES.join(', ')}`
+    }
+};
+
+function newUpload(userId, kind, contentType, name = null) {
+    const id = db.ref('uploads').push().key;
+    return { id, userId, kind, contentType, name, path: `uploads/${userId}/${id}`, createdAt: new Date().toISOString() };
+}
+
+// Records an upload and signs the URL the client sends the file to
+async function createUpload(userId, { kind, contentType, size, name }, origin) {
+    const expiresAt = new Date(Date.now() + UPLOAD_URL_TTL_MS);
+    const upload = { ...newUpload(userId, kind, contentType, name || null), size, expiresAt: expiresAt.toISOString() };
+    const uploadUrl = await storage.uploadUrl(upload.path, { contentType, expiresAt, origin });
+    await db.ref(`uploads/${upload.id}`).set(upload);
+    return { upload, uploadUrl };
+}
+
+// Stores a file that came in the request as an upload of its own
+async function saveUpload(userId, kind, data, contentType) {
+    const upload = { ...newUpload(userId, kind, contentType), size: data.length };
+    await storage.write(upload.path, data, contentType);
+    await db.ref(`uploads/${upload.id}`).set(upload);
+    return upload;
+}
+
+// Loads a finished upload of the user. Returns { upload } with the stored
+// size, or { status, error }.
+async function loadUpload(userId, uploadId, kind) {
+    const snapshot = await db.ref(`uploads/${uploadId}`).once("value");
+    const upload = snapshot.val();
+    if (!upload || upload.userId !== userId || upload.kind !== kind) {
+        return { status: 404, error: "Caricamento non trovato" };
+    }
+
+    const file = await storage.stat(upload.path);
+    if (!file) return { status: 409, error: "Il file non è ancora stato caricato" };
+    const { maxBytes } = UPLOAD_KINDS[kind];
+    if (file.size > maxBytes) {
+        await removeUpload(upload);
+        return { status: 413, error: `File troppo grande (max ${maxBytes / 1024 / 1024} MB)` };
+    }
+    return { upload: { ...upload, size: file.size } };
+}
+
+async function removeUpload(upload) {
+    await storage.remove(upload.path);
+    await db.ref(`uploads/${upload.id}`).remove();
+}
+
+// --- REQUEST VALIDATION ---
+// Every route declares the body, query and path params it accepts in SCHEMAS.
+// A rule has a type (string, integer, number, boolean, array, object, or a
+// list of them) and optional required, nullable, minLength/maxLength,
+// min/max, maxItems, items, properties, enum, pattern (with patternMessage)
+// and dataUrl ({ types, maxBytes }). repeatable accepts a list of such
+// values, as sent by repeated form fields. Query values and params arrive as
+// strings and are checked after conversion.
+// Fields that are not declared are ignored, except in objects checked with
+// properties: those are stored as sent, so other keys are rejected.
+const FIELD_TYPE_NAMES = {
+    string: 'un testo',
+    integer: 'un numero intero',
+    number: 'un numero',
+    boolean: 'true o false',
+    array: 'una lista',
+    object: 'un oggetto'
+};
+
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const idRule = (options = {}) => ({
+    type: 'string',
+    pattern: ID_PATTERN,
+    patternMessage: 'può contenere solo lettere, numeri, - e _ (massimo 64 caratteri)',
+    ...options
+});
+const textRule = (maxLength, options = {}) => ({ type: 'string', maxLength, ...options });
+const dateRule = { type: 'string', nullable: true, pattern: DATE_PATTERN, patternMessage: 'deve essere una data nel formato AAAA-MM-GG' };
+const imageRule = {
+    type: 'string',
+    nullable: true,
+    dataUrl: { types: ['image/png', 'image/jpeg'], maxBytes: PROFILE_IMAGE_MAX_BYTES }
+};
+
+function queryValue(rule, value) {
+    if (typeof value !== 'string') return value;
+    if ((rule.type === 'integer' || rule.type === 'number') && /^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+    if (rule.type === 'boolean' && (value === 'true' || value === 'false')) return value === 'true';
+    return value;
+}
+
+// Returns why value breaks rule, or null when it is valid
+function fieldError(rule, value) {
+    if (value === null) return rule.nullable ? null : 'non può essere null';
+    if (rule.repeatable && Array.isArray(value)) {
+        for (const [index, item] of value.entries()) {
+            const reason = fieldError({ ...rule, repeatable: false }, item);
+            if (reason) return `elemento ${index}: ${reason}`;
+        }
+        return null;
+    }
+
+    const types = [].concat(rule.type);
+    const type = types.find(name => ({
+        string: typeof value === 'string',
+        integer: Number.isInteger(value),
+        number: typeof value === 'number' && Number.isFinite(value),
+        boolean: typeof value === 'boolean',
+        array: Array.isArray(value),
+        object: typeof value === 'object' && !Array.isArray(value)
+    })[name]);
+    if (!type) return `deve essere ${types.map(name => FIELD_TYPE_NAMES[name]).join(' o ')}`;
+
+    if (type === 'string') {
+        if (rule.required && !value.trim()) return 'non può essere vuoto';
+        if (rule.minLength && value.trim().length < rule.minLength) return `deve contenere almeno ${rule.minLength} caratteri`;
+        if (rule.maxLength && value.length > rule.maxLength) return `supera i ${rule.maxLength} caratteri`;
+        if (rule.pattern && value && !rule.pattern.test(value)) return rule.patternMessage || 'ha un formato non valido';
+        if (rule.dataUrl) {
+            const match = /^data:([\w/+.-]+);base64,([A-Za-z0-9+/=]+)$/.exec(value);
+            if (!match || !rule.dataUrl.types.includes(match[1])) {
+                return `deve essere un data URL di tipo ${rule.dataUrl.types.join(' o ')}`;
+            }
+            if (Buffer.byteLength(match[2], 'base64') > rule.dataUrl.maxBytes) {
+                return `supera la dimensione massima di ${Math.round(rule.dataUrl.maxBytes / 1024)} KB`;
+            }
+        }
+    }
+
+    if ((type === 'integer' || type === 'number')) {
+        if (rule.min !== undefined && value < rule.min) return `deve essere almeno ${rule.min}`;
+        if (rule.max !== undefined && value > rule.max) return `non può superare ${rule.max}`;
+    }
+
+    if (rule.enum && !rule.enum.includes(value)) return `deve essere uno tra: ${rule.enum.join(', ')}`;
+
+    if (type === 'object' && rule.properties) {
+        const extra = Object.keys(value).find(key => !Object.hasOwn(rule.properties, key));
+        if (extra) return `campo "${extra}" non previsto`;
+        const invalid = validateFields(rule.properties, value);
+        if (invalid) return `campo "${invalid.field}": ${invalid.reason}`;
+    }
+
+    if (type === 'array') {
+        if (rule.maxItems && value.length > rule.maxItems) return `contiene più di ${rule.maxItems} elementi`;
+        if (rule.items) {
+            for (const [index, item] of value.entries()) {
+                const reason = fieldError(rule.items, item);
+                if (reason) return `elemento ${index}: ${reason}`;
+            }
+        }
+    }
+    return null;
+}
+
+// Checks values against a map of field rules. Returns { field, reason } for
+// the first invalid field, or null.
+function validateFields(rules, values = {}, { fromQuery = false } = {}) {
+    for (const [field, rule] of Object.entries(rules)) {
+        let value = values[field];
+        if (fromQuery) value = queryValue(rule, value);
+        if (value === undefined || (fromQuery && value === '')) {
+            if (rule.required) return { field, reason: 'campo obbligatorio' };
+            continue;
+        }
+        const reason = fieldError(rule, value);
+        if (reason) return { field, reason };
+    }
+    return null;
+}
+
+function sendValidationError(res, { field, reason }) {
+    return res.status(400).json({ error: `Campo non valido "${field}": ${reason}`, field, reason });
+}
+
+// Middleware checking req.params, req.query and req.body against schema
+function validateRequest(schema) {
+    return (req, res, next) => {
+        if (req.body === undefined) req.body = {};
+        if (schema.body && (typeof req.body !== 'object' || Array.isArray(req.body))) {
+            return sendValidationError(res, { field: 'body', reason: 'deve essere un oggetto JSON' });
+        }
+        const invalid = (schema.params && validateFields(schema.params, req.params, { fromQuery: true }))
+            || (schema.query && validateFields(schema.query, req.query, { fromQuery: true }))
+            || (schema.body && validateFields(schema.body, req.body));
+        if (invalid) return sendValidationError(res, invalid);
+        next();
+    };
+}
+
+const CALL_STATUSES = ['draft', 'processing', 'completed'];
+const REPORT_HTML_MAX = 2 * 1024 * 1024;
+const TEMPLATE_HTML_MAX = 512 * 1024;
+const TRANSCRIPT_MAX = 1024 * 1024;
+
+const projectFields = {
+    title: textRule(200),
+    description: textRule(2000, { nullable: true }),
+    color: { type: 'string', pattern: /^#[0-9A-Fa-f]{6}$/, patternMessage: 'deve essere un colore esadecimale (#RRGGBB)' },
+    client: textRule(200, { nullable: true }),
+    siteAddress: textRule(300, { nullable: true }),
+    startDate: dateRule,
+    endDate: dateRule,
+    status: { type: 'string', enum: PROJECT_STATUSES }
+};
+
+const callFields = {
+    title: textRule(200),
+    roomTitle: textRule(200),
+    transcript: textRule(TRANSCRIPT_MAX),
+    summary: textRule(20000),
+    reportHtml: textRule(REPORT_HTML_MAX),
+    status: { type: 'string', enum: CALL_STATUSES }
+};
+
+// Areas are names, or the objects extraction produces
+const areaRule = {
+    type: ['string', 'object'],
+    maxLength: 200,
+    properties: {
+        name: textRule(200, { required: true }),
+        progress: { type: 'number', nullable: true, min: 0, max: 100 },
+        notes: textRule(1000, { nullable: true })
+    }
+};
+const callImageRule = {
+    type: 'object',
+    properties: {
+        id: idRule(),
+        url: textRule(2048),
+        caption: textRule(500),
+        area: textRule(200, { nullable: true })
+    }
+};
+
+const templateFields = {
+    name: textRule(200),
+    description: textRule(2000, { nullable: true }),
+    htmlContent: textRule(TEMPLATE_HTML_MAX),
+    category: textRule(100)
+};
+
+const actionItemFields = {
+    description: textRule(1000),
+    owner: textRule(200, { nullable: true }),
+    dueDate: dateRule,
+    area: textRule(200, { nullable: true }),
+    severity: { type: 'string', nullable: true, enum: ISSUE_SEVERITIES }
+};
+
+const streamRule = { type: 'boolean' };
+
+const pageFields = {
+    limit: { type: 'integer', min: 1, max: LIST_MAX_LIMIT },
+    cursor: textRule(500)
+};
+
+const SCHEMAS = {
+    updateUser: {
+        body: {
+            name: textRule(100),
+            avatar: textRule(PROFILE_IMAGE_MAX_BYTES * 2, { nullable: true })
+        }
+    },
+    updateProfile: {
+        body: {
+            ...Object.fromEntries(PROFILE_TEXT_FIELDS.map(field => [field, textRule(PROFILE_TEXT_MAX, { nullable: true })])),
+            ...Object.fromEntries(PROFILE_IMAGE_FIELDS.map(field => [field, imageRule]))
+        }
+    },
+    creditHistory: {
+        query: { limit: { type: 'integer', min: 1, max: 200 } }
+    },
+    usage: {
+        query: { from: dateRule, to: dateRule }
+    },
+    adminListUsers: {
+        query: {
+            q: textRule(100),
+            plan: { type: 'string', enum: Object.keys(PLANS) },
+            suspended: { type: 'boolean' },
+            ...pageFields
+        }
+    },
+    adminUserRecords: {
+        query: pageFields
+    },
+    adminSetPlan: {
+        body: {
+            plan: { type: 'string', required: true, enum: Object.keys(PLANS) },
+            reason: textRule(500)
+        }
+    },
+    adminGrantCredits: {
+        body: {
+            amount: { type: 'integer', required: true, min: -ADMIN_GRANT_MAX, max: ADMIN_GRANT_MAX },
+            reason: textRule(500, { required: true })
+        }
+    },
+    adminSuspend: {
+        body: { reason: textRule(500, { required: true }) }
+    },
+    adminUnsuspend: {
+        body: { reason: textRule(500) }
+    },
+    adminAudit: {
+        query: {
+            userId: idRule(),
+            limit: { type: 'integer', min: 1, max: ADMIN_AUDIT_LIMIT },
+            before: textRule(100)
+        }
+    },
+    createOrg: {
+        body: { name: textRule(100, { required: true }) }
+    },
+    updateOrg: {
+        body: { name: textRule(100, { required: true }) }
+    },
+    setOrgMember: {
+        body: { role: { type: 'string', required: true, enum: ORG_ROLES } }
+    },
+    inviteOrgMember: {
+        body: {
+            userId: idRule({ required: true }),
+            role: { type: 'string', required: true, enum: ORG_ROLES }
+        }
+    },
+    listProjects: {
+        query: { status: { type: 'string', enum: [...PROJECT_STATUSES, 'all'] }, orgId: idRule(), ...pageFields }
+    },
+    createProject: {
+        body: { orgId: idRule({ nullable: true }), ...projectFields, title: textRule(200, { required: true }) }
+    },
+    updateProject: {
+        body: projectFields
+    },
+    deleteProject: {
+        query: { cascade: { type: 'boolean' } }
+    },
+    createShareLink: {
+        body: {
+            expiresInDays: { type: 'integer', min: 1, max: SHARE_MAX_DAYS },
+            password: textRule(200, { nullable: true, minLength: SHARE_PASSWORD_MIN })
+        }
+    },
+    openShareLink: {
+        body: { password: textRule(200) }
+    },
+    createCheckout: {
+        body: {
+            plan: { type: 'string', required: true, enum: PAID_PLANS },
+            orgId: idRule()
+        }
+    },
+    transferProject: {
+        body: { orgId: idRule({ required: true, nullable: true }) }
+    },
+    listCalls: {
+        query: {
+            projectId: idRule(),
+            orgId: idRule(),
+            status: { type: 'string', enum: CALL_STATUSES },
+            from: dateRule,
+            to: dateRule,
+            area: textRule(200),
+            ...pageFields
+        }
+    },
+    searchCalls: {
+        query: {
+            q: textRule(200, { required: true }),
+            projectId: idRule(),
+            orgId: idRule(),
+            limit: { type: 'integer', min: 1, max: SEARCH_MAX_LIMIT }
+        }
+    },
+    createCall: {
+        body: {
+            projectId: idRule({ required: true }),
+            ...callFields,
+            areas: { type: 'array', maxItems: 100, items: areaRule },
+            images: { type: 'array', maxItems: 100, items: callImageRule }
+        }
+    },
+    updateCall: {
+        body: callFields
+    },
+    uploadPhotos: {
+        body: {
+            uploadIds: { type: 'array', maxItems: PHOTO_UPLOAD_MAX_FILES, items: idRule() },
+            caption: textRule(500, { repeatable: true }),
+            area: textRule(200, { repeatable: true })
+        }
+    },
+    listActionItems: {
+        query: { status: { type: 'string', enum: [...ACTION_ITEM_STATUSES, 'all'] } }
+    },
+    createActionItem: {
+        body: { ...actionItemFields, description: textRule(1000, { required: true }), callId: idRule() }
+    },
+    updateActionItem: {
+        body: {
+            ...actionItemFields,
+            status: { type: 'string', enum: ACTION_ITEM_STATUSES },
+            callId: idRule({ nullable: true })
+        }
+    },
+    importActionItems: {
+        body: {}
+    },
+    updatePhoto: {
+        body: {
+            caption: textRule(500),
+            area: textRule(200, { nullable: true })
+        }
+    },
+    reportVersion: {
+        params: { version: { type: 'integer', required: true, min: 1 } }
+    },
+    reportDiff: {
+        query: {
+            from: { type: 'integer', min: 1 },
+            to: { type: 'integer', min: 1 }
+        }
+    },
+    exportPdf: {
+        body: {
+            callId: idRule(),
+            html: textRule(REPORT_HTML_MAX),
+            title: textRule(200)
+        }
+    },
+    exportDocx: {
+        body: {
+            callId: idRule({ required: true }),
+            templateId: idRule()
+        }
+    },
+    createTemplate: {
+        body: { orgId: idRule({ nullable: true }), ...templateFields, name: textRule(200, { required: true }) }
+    },
+    cloneTemplate: {
+        body: { name: textRule(200), orgId: idRule({ nullable: true }) }
+    },
+    updateTemplate: {
+        body: templateFields
+    },
+    createUpload: {
+        body: {
+            kind: { type: 'string', required: true, enum: Object.keys(UPLOAD_KINDS) },
+            contentType: textRule(100, { required: true }),
+            size: { type: 'integer', required: true, min: 1 },
+            name: textRule(255)
+        }
+    },
+    transcribeUpload: {
+        body: { uploadId: idRule({ required: true }) }
+    },
+    transcribe: {
+        body: {
+            audio: { type: 'string', required: true },
+            mimeType: { type: 'string', pattern: /^audio\/[\w.+-]+(;.*)?$/, patternMessage: 'deve essere un tipo audio (es. audio/webm)' }
+        }
+    },
+    generateReport: {
+        body: {
+            transcription: textRule(TRANSCRIPT_MAX),
+            useExtraction: { type: 'boolean' },
+            projectId: idRule(),
+            projectTitle: textRule(200),
+            reportTitle: textRule(200),
+            areas: { type: 'array', maxItems: 100, items: areaRule },
+            writingStyle: textRule(100),
+            callId: idRule(),
+            templateId: idRule(),
+            stream: streamRule
+        }
+    },
+    extract: {
+        body: {
+            callId: idRule({ required: true })
+        }
+    },
+    summarize: {
+        body: {
+            callId: idRule({ required: true })
+        }
+    },
+    digest: {
+        body: {
+            projectId: idRule({ required: true })
+        }
+    },
+    projectDigest: {
+        body: { refresh: { type: 'boolean' } }
+    },
+    refineReport: {
+        body: {
+            userMessage: textRule(5000, { required: true }),
+            currentHtml: textRule(REPORT_HTML_MAX),
+            callId: idRule(),
+            stream: streamRule
+        }
+    },
+    convertPdf: {
+        body: {}
+    },
+    createJob: {
+        body: {
+            type: { type: 'string', required: true },
+            input: { type: 'object' }
+        }
+    }
+};
+
+// Stores record under a new id generated on the server, with its listing
+// sort keys. Returns the stored record.
+async function createRecord(collection, record) {
+    const id = db.ref(collection).push().key;
+    const stored = { id, ...record };
+    Object.assign(stored, sortKeys(collection, stored));
+    await db.ref(`${collection}/${id}`).set(stored);
+    return stored;
+}
+
+// --- PDF RENDERING ---
+// Reports are printed by a headless Chromium bundled with the function
+// (CHROME_EXECUTABLE_PATH overrides it for local development). The browser is
+// shared across requests while the instance stays warm.
+const PDF_RENDER_TIMEOUT = 30000;
+let browserPromise = null;
+
+function getBrowser() {
+    if (!browserPromise) {
+        browserPromise = (async () => {
+            const browser = await puppeteer.launch({
+                args: chromium.args,
+                executablePath: process.env.CHROME_EXECUTABLE_PATH || await chromium.executablePath(),
+                headless: true
+            });
+            browser.on('disconnected', () => { browserPromise = null; });
+            return browser;
+        })().catch(error => {
+            browserPromise = null;
+            throw error;
+        });
+    }
+    return browserPromise;
+}
+
+// Renders report HTML to an A4 PDF with a header and a numbered footer on
+// every page. Scripts are disabled and only inline (data:) resources load,
+// so photos must be embedded in the HTML and posted markup cannot reach
+// other hosts from the server.
+async function renderReportPdf(html, { title = 'Relazione Tecnica', subtitle = '' } = {}) {
+    const browser = await getBrowser();
+    const page = await browser.newPage();
+    try {
+        await page.setJavaScriptEnabled(false);
+        await page.setRequestInterception(true);
+        page.on('request', request => {
+            const url = request.url();
+            if (url.startsWith('data:') || url === 'about:blank') request.continue();
+            else request.abort();
+        });
+
+        await page.setContent(html, { waitUntil: 'load', timeout: PDF_RENDER_TIMEOUT });
+        await page.emulateMediaType('print');
+
+        const chrome = 'font-family: Segoe UI, Roboto, Arial, sans-serif; font-size: 8px; color: #666; width: 100%; padding: 0 15mm;';
+        return await page.pdf({
+            format: 'A4',
+            printBackground: true,
+            displayHeaderFooter: true,
+            headerTemplate: `<div style="${chrome} display: flex; justify-content: space-between; border-bottom: 0.5px solid #1e3a5f; padding-bottom: 2mm;">
+                <span style="color: #1e3a5f; font-weight: bold;">${escapeHtml(title)}</span>
+                <span>${escapeHtml(subtitle)}</span>
+            </div>`,
+            footerTemplate: `<div style="${chrome} text-align: right;">
+                Pagina <span class="pageNumber"></span> di <span class="totalPages"></span>
+            </div>`,
+            margin: { top: '22mm', bottom: '18mm', left: '15mm', right: '15mm' },
+            timeout: PDF_RENDER_TIMEOUT
+        });
+    } finally {
+        await page.close().catch(() => {});
+    }
+}
+
+function exportFilename(title, extension) {
+    const slug = String(title || 'relazione')
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-zA-Z0-9]+/g, '-').replace(/^-+|-+$/g, '')
+        .toLowerCase();
+    return `${slug || 'relazione'}.${extension}`;
+}
+
+// --- DOCX EXPORT ---
+// Converts report HTML into an editable Word document. Only the markup the
+// report prompt produces is mapped (headings, paragraphs, lists, tables,
+// boxed sections, images, signature block); styling comes from the CSS
+// variables of a saved template when one is available.
+const DEFAULT_DOCX_STYLE = {
+    font: 'Segoe UI',
+    primaryColor: '1E3A5F',
+    textColor: '333333',
+    boxColor: 'F8F9FA',
+    borderColor: 'E0E0E0'
+};
+const DOCX_MAX_IMAGE_WIDTH = 600; // px, fits A4 with default margins
+const DOCX_BLOCK_TAGS = new Set(['p', 'div', 'section', 'article', 'header', 'footer', 'main', 'aside', 'figure',
+    'figcaption', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li', 'table', 'hr', 'blockquote', 'nav']);
+const DOCX_SKIPPED_TAGS = new Set(['head', 'style', 'script', 'title', 'meta', 'link', 'noscript']);
+
+function toDocxColor(value) {
+    if (!value) return null;
+    const color = value.trim().toLowerCase();
+    if (color === 'white') return 'FFFFFF';
+    if (color === 'black') return '000000';
+    let match = /^#([0-9a-f]{3})$/.exec(color);
+    if (match) return match[1].split('').map(c => c + c).join('').toUpperCase();
+    match = /^#([0-9a-f]{6})/.exec(color);
+    if (match) return match[1].toUpperCase();
+    match = /^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/.exec(color);
+    if (match) return match.slice(1, 4).map(n => Number(n).toString(16).padStart(2, '0')).join('').toUpperCase();
+    return null;
+}
+
+function parseInlineStyle(element) {
+    const style = {};
+    for (const declaration of (element.getAttribute('style') || '').split(';')) {
+        const index = declaration.indexOf(':');
+        if (index > 0) style[declaration.slice(0, index).trim().toLowerCase()] = declaration.slice(index + 1).trim();
+    }
+    return style;
+}
+
+// Reads the CSS custom properties of a saved template (see PROMPTS.pdfTemplate)
+function extractTemplateStyle(htmlContent) {
+    const style = { ...DEFAULT_DOCX_STYLE };
+    if (!htmlContent) return style;
+
+    const vars = [];
+    for (const match of htmlContent.matchAll(/--([\w-]+)\s*:\s*([^;}]+)/g)) {
+        vars.push([match[1].toLowerCase(), match[2].trim()]);
+    }
+    const findColor = (...keys) => {
+        for (const key of keys) {
+            const found = vars.find(([name, value]) => name.includes(key) && toDocxColor(value));
+            if (found) return toDocxColor(found[1]);
+        }
+        return null;
+    };
+
+    const font = vars.find(([name, value]) => name.includes('font') && !/^[\d.]+(px|pt|rem|em|%)?$/.test(value));
+    if (font) style.font = font[1].split(',')[0].replace(/["']/g, '').trim();
+    style.primaryColor = findColor('primary', 'brand', 'heading', 'accent') || style.primaryColor;
+    style.textColor = findColor('text', 'body', 'foreground') || style.textColor;
+    style.boxColor = findColor('surface', 'box', 'light', 'secondary-bg', 'background-alt', 'bg-alt') || style.boxColor;
+    style.borderColor = findColor('border') || style.borderColor;
+    return style;
+}
+
+function docxImageFromDataUrl(src) {
+    const match = /^data:image\/(png|jpe?g|gif|bmp);base64,(.+)$/i.exec(src || '');
+    if (!match) return null;
+
+    try {
+        const data = Buffer.from(match[2], 'base64');
+        const { width, height } = imageSize(data);
+        const scale = Math.min(1, DOCX_MAX_IMAGE_WIDTH / width);
+        return new ImageRun({
+            type: match[1].toLowerCase().startsWith('jp') ? 'jpg' : match[1].toLowerCase(),
+            data,
+            transformation: { width: Math.round(width * scale), height: Math.round(height * scale) }
+        });
+    } catch (error) {
+        console.warn('Skipping unreadable report image:', error.message);
+        return null;
+    }
+}
+
+function htmlToDocxBlocks(html, style) {
+    const root = parseHtml(html, { comment: false });
+    const body = root.querySelector('body') || root;
+    let listInstance = 0;
+
+    const tagOf = node => (node.nodeType === 1 ? node.rawTagName.toLowerCase() : null);
+    const isBlock = node => DOCX_BLOCK_TAGS.has(tagOf(node));
+
+    // Flattens inline content into text/image/break segments
+    function inlineSegments(node, format) {
+        if (node.nodeType === 3) {
+            const text = node.text.replace(/\s+/g, ' ');
+            return text ? [{ text, format }] : [];
+        }
+        if (node.nodeType !== 1) return [];
+
+        const tag = tagOf(node);
+        if (DOCX_SKIPPED_TAGS.has(tag)) return [];
+        if (tag === 'br') return [{ lineBreak: true }];
+        if (tag === 'img') {
+            const image = docxImageFromDataUrl(node.getAttribute('src'));
+            return image ? [{ image }] : [];
+        }
+
+        const css = parseInlineStyle(node);
+        const next = { ...format };
+        if (['strong', 'b'].includes(tag) || /bold|[6-9]00/.test(css['font-weight'] || '')) next.bold = true;
+        if (['em', 'i'].includes(tag) || css['font-style'] === 'italic') next.italics = true;
+        if (tag === 'u') next.underline = {};
+        if (toDocxColor(css.color)) next.color = toDocxColor(css.color);
+
+        return node.childNodes.flatMap(child => inlineSegments(child, next));
+    }
+
+    function paragraph(segments, options = {}) {
+        // Trim the whitespace around the paragraph, HTML-style
+        const texts = segments.filter(s => s.text !== undefined);
+        if (texts.length) {
+            texts[0].text = texts[0].text.trimStart();
+            texts[texts.length - 1].text = texts[texts.length - 1].text.trimEnd();
+        }
+        const children = segments
+            .filter(s => s.image || s.lineBreak || s.text)
+            .map(s => s.image || (s.lineBreak ? new TextRun({ break: 1 }) : new TextRun({ text: s.text, ...s.format })));
+        if (!children.length && !options.keepEmpty) return [];
+        return [new Paragraph({ spacing: { after: 120, line: 300 }, ...options, children })];
+    }
+
+    function alignmentOf(css, inherited) {
+        switch (css['text-align']) {
+            case 'center': return AlignmentType.CENTER;
+            case 'right': return AlignmentType.RIGHT;
+            case 'justify': return AlignmentType.JUSTIFIED;
+            case 'left': return AlignmentType.LEFT;
+            default: return inherited;
+        }
+    }
+
+    function listBlocks(list, ctx, level) {
+        const ordered = tagOf(list) === 'ol';
+        const instance = ++listInstance;
+        const blocks = [];
+        for (const item of list.childNodes.filter(n => tagOf(n) === 'li')) {
+            const inline = item.childNodes.filter(n => !['ul', 'ol'].includes(tagOf(n)));
+            blocks.push(...paragraph(inline.flatMap(n => inlineSegments(n, ctx.format)), {
+                ...(ordered
+                    ? { numbering: { reference: 'report-numbering', level, instance } }
+                    : { bullet: { level } })
+            }));
+            for (const nested of item.childNodes.filter(n => ['ul', 'ol'].includes(tagOf(n)))) {
+                blocks.push(...listBlocks(nested, ctx, Math.min(level + 1, 8)));
+            }
+        }
+        return blocks;
+    }
+
+    function boxed(children, fill, borderColor) {
+        const border = { style: BorderStyle.SINGLE, size: 6, color: borderColor };
+        return new Table({
+            width: { size: 100, type: WidthType.PERCENTAGE },
+            rows: [new TableRow({
+                children: [new TableCell({
+                    children: children.length ? children : [new Paragraph('')],
+                    shading: fill ? { type: ShadingType.CLEAR, color: 'auto', fill } : undefined,
+                    borders: { top: border, bottom: border, left: border, right: border },
+                    margins: { top: 150, bottom: 150, left: 200, right: 200 }
+                })]
+            })]
+        });
+    }
+
+    function tableBlocks(table, ctx) {
+        const rows = table.querySelectorAll('tr')
+            .map(row => row.childNodes.filter(n => ['td', 'th'].includes(tagOf(n))))
+            .filter(cells => cells.length > 0)
+            .map(cells => new TableRow({
+                children: cells.map(cell => {
+                    const header = tagOf(cell) === 'th';
+                    const content = blockChildren(cell, { ...ctx, format: header ? { ...ctx.format, bold: true } : ctx.format });
+                    return new TableCell({
+                        children: content.length ? content : [new Paragraph('')],
+                        shading: header ? { type: ShadingType.CLEAR, color: 'auto', fill: style.boxColor } : undefined,
+                        margins: { top: 60, bottom: 60, left: 100, right: 100 }
+                    });
+                })
+            }));
+        if (!rows.length) return [];
+        return [new Table({ width: { size: 100, type: WidthType.PERCENTAGE }, rows }), new Paragraph('')];
+    }
+
+    function elementBlocks(node, ctx) {
+        const tag = tagOf(node);
+        if (DOCX_SKIPPED_TAGS.has(tag)) return [];
+
+        const css = parseInlineStyle(node);
+        const alignment = alignmentOf(css, ctx.alignment);
+        const color = toDocxColor(css.color);
+        const inner = { ...ctx, alignment, format: color ? { ...ctx.format, color } : ctx.format };
+
+        if (/^h[1-6]$/.test(tag)) {
+            const level = Number(tag[1]);
+            return paragraph(inlineSegments(node, { ...inner.format, bold: true, color: color || style.primaryColor }), {
+                heading: HeadingLevel[`HEADING_${level}`],
+                alignment,
+                spacing: { before: 240, after: 120 },
+                // Section titles are underlined in the report layout
+                border: level === 2 ? { bottom: { style: BorderStyle.SINGLE, size: 12, color: style.primaryColor, space: 4 } } : undefined
+            });
+        }
+        if (tag === 'p') return paragraph(inlineSegments(node, inner.format), { alignment });
+        if (tag === 'ul' || tag === 'ol') return listBlocks(node, inner, 0);
+        if (tag === 'table') return tableBlocks(node, inner);
+        if (tag === 'hr') {
+            return [new Paragraph({ border: { bottom: { style: BorderStyle.SINGLE, size: 6, color: style.borderColor, space: 1 } } })];
+        }
+        if (tag === 'figcaption') {
+            return paragraph(inlineSegments(node, { ...inner.format, italics: true, size: 18 }), { alignment: AlignmentType.CENTER });
+        }
+        if (node.classList.contains('photo-placeholder')) {
+            return paragraph(inlineSegments(node, { ...inner.format, italics: true, color: '888888' }), {
+                alignment: AlignmentType.CENTER,
+                border: {
+                    top: { style: BorderStyle.DASHED, size: 6, color: 'BBBBBB', space: 4 },
+                    bottom: { style: BorderStyle.DASHED, size: 6, color: 'BBBBBB', space: 4 }
+                }
+            });
+        }
+        if (tag === 'figure') {
+            return blockChildren(node, { ...inner, alignment: AlignmentType.CENTER });
+        }
+
+        const background = toDocxColor(css['background-color'] || css.background);
+        const hasBorder = Object.keys(css).some(k => k === 'border' || k === 'border-color');
+        if (background || hasBorder) {
+            return [boxed(blockChildren(node, inner), background, toDocxColor(css['border-color']) || style.borderColor), new Paragraph('')];
+        }
+        return blockChildren(node, inner);
+    }
+
+    // Block content of a container: consecutive inline nodes become one paragraph
+    function blockChildren(container, ctx) {
+        const blocks = [];
+        let pending = [];
+        const flush = () => {
+            blocks.push(...paragraph(pending, { alignment: ctx.alignment }));
+            pending = [];
+        };
+
+        for (const child of container.childNodes) {
+            if (child.nodeType === 1 && isBlock(child)) {
+                flush();
+                blocks.push(...elementBlocks(child, ctx));
+            } else {
+                pending.push(...inlineSegments(child, ctx.format));
+            }
+        }
+        flush();
+        return blocks;
+    }
+
+    return blockChildren(body, { format: {}, alignment: undefined });
+}
+
+async function renderReportDocx(html, style, { title = 'Relazione Tecnica di Sopralluogo' } = {}) {
+    const doc = new Document({
+        title,
+        creator: 'Archiflow',
+        styles: {
+            default: {
+                document: { run: { font: style.font, size: 21, color: style.textColor } }
+            }
+        },
+        numbering: {
+            config: [{
+                reference: 'report-numbering',
+                levels: Array.from({ length: 9 }, (_, level) => ({
+                    level,
+                    format: LevelFormat.DECIMAL,
+                    text: `%${level + 1}.`,
+                    alignment: AlignmentType.START,
+                    style: { paragraph: { indent: { left: 720 * (level + 1), hanging: 360 } } }
+                }))
+            }]
+        },
+        sections: [{
+            properties: {
+                page: { margin: { top: 1200, bottom: 1000, left: 850, right: 850 } }
+            },
+            headers: {
+                default: new Header({
+                    children: [new Paragraph({
+                        children: [new TextRun({ text: title, bold: true, color: style.primaryColor, size: 16 })],
+                        border: { bottom: { style: BorderStyle.SINGLE, size: 4, color: style.primaryColor, space: 4 } }
+                    })]
+                })
+            },
+            footers: {
+                default: new Footer({
+                    children: [new Paragraph({
+                        alignment: AlignmentType.RIGHT,
+                        children: [new TextRun({
+                            children: ['Pagina ', PageNumber.CURRENT, ' di ', PageNumber.TOTAL_PAGES],
+                            size: 16,
+                            color: '666666'
+                        })]
+                    })]
+                })
+            },
+            children: htmlToDocxBlocks(html, style)
+        }]
+    });
+
+    return Packer.toBuffer(doc);
+}
+
+// Export styling: the requested template, else the user's most recent one
+async function loadExportStyle(userId, templateId) {
+    if (templateId) {
+        const { template, error, status } = await loadTemplate(userId, templateId);
+        if (error) return { status, error };
+        return { style: extractTemplateStyle(template.htmlContent) };
+    }
+
+    const snapshot = await db.ref("templates").orderByChild("userId").equalTo(userId).once("value");
+    const templates = snapshot.val() ? Object.values(snapshot.val()) : [];
+    const latest = templates.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))[0];
+    return { style: extractTemplateStyle(latest?.htmlContent) };
+}
+
+// --- REPORT TEMPLATES ---
+// Templates are full HTML documents with {{title}}, {{date}}, {{content}} and
+// {{author}} placeholders (see PROMPTS.pdfTemplate). When a report is
+// generated with a template, the model only writes structured content
+// (PROMPTS.reportContent) which is rendered here and merged into it.
+// Loads a template the user can read, or a system template with that id
+async function loadTemplate(userId, templateId) {
+    if (!db) return { status: 503, error: "Database non configurato" };
+    const { record, status, error } = await loadAuthorized("templates", templateId, userId, 'read');
+    if (status === 404) {
+        const systemTemplates = await loadSystemTemplates();
+        if (systemTemplates[templateId]) return { template: systemTemplates[templateId] };
+    }
+    return record ? { template: record } : { status, error };
+}
+
+// Starter templates shared by all users. They are seeded into
+// systemTemplates/ on first use, so they can be edited in the database.
+function buildSystemTemplate({ kind, primaryColor, accentColor }) {
+    return `<!DOCTYPE html>
+<html lang="it">
+<head>
+<meta charset="UTF-8">
+<title>{{title}}</title>
+<style>
+:root {
+  --primary-color: ${primaryColor};
+  --accent-color: ${accentColor};
+  --text-color: #333333;
+  --surface-color: #f8f9fa;
+  --border-color: #e0e0e0;
+  --font-family: 'Segoe UI', Roboto, Arial, sans-serif;
+}
+@page { size: A4; margin: 20mm 15mm; }
+body { font-family: var(--font-family); color: var(--text-color); font-size: 13px; line-height: 1.7; margin: 0; }
+.report-header { background: var(--primary-color); color: #ffffff; padding: 20px 25px; border-radius: 8px; margin-bottom: 25px; }
+.report-header .report-kind { font-size: 11px; letter-spacing: 2px; text-transform: uppercase; opacity: 0.8; }
+.report-header h1 { margin: 6px 0; font-size: 22px; }
+.report-header p { margin: 0; font-size: 12px; }
+.report-section { padding: 15px; border: 1px solid var(--border-color); border-radius: 8px; margin-bottom: 18px; page-break-inside: avoid; }
+.report-section h2 { color: var(--primary-color); font-size: 16px; border-bottom: 2px solid var(--primary-color); padding-bottom: 4px; margin-top: 0; text-transform: uppercase; }
+.report-area h3 { color: var(--accent-color); font-size: 14px; margin-bottom: 4px; }
+.report-section p { text-align: justify; }
+.photo-placeholder { border: 1px dashed #bbbbbb; color: #888888; font-style: italic; text-align: center; padding: 30px 10px; margin: 10px 0; background: var(--surface-color); }
+.signature-section { margin-top: 40px; text-align: center; page-break-inside: avoid; }
+.signature-name { font-weight: bold; font-size: 14px; margin: 4px 0; }
+.signature-reg, .signature-company, .signature-caption { font-size: 12px; color: #666666; margin: 2px 0; }
+.signature-line { margin-top: 20px; }
+.report-footer { margin-top: 30px; border-top: 1px solid var(--border-color); padding-top: 8px; font-size: 11px; color: #888888; text-align: right; }
+@media print { .report-header { -webkit-print-color-adjust: exact; print-color-adjust: exact; } }
+</style>
+</head>
+<body>
+<header class="report-header">
+  <!-- LOGO_PLACEHOLDER -->
+  <div class="report-kind">${kind}</div>
+  <h1>{{title}}</h1>
+  <p>{{date}}</p>
+</header>
+<main>
+{{content}}
+</main>
+<footer class="report-footer">{{author}}</footer>
+</body>
+</html>`;
+}
+
+const SYSTEM_TEMPLATES = [
+    {
+        id: 'system-sopralluogo',
+        name: 'Relazione di sopralluogo',
+        description: 'Relazione tecnica di sopralluogo con stato dei lavori per area e rilievi',
+        category: 'Sopralluogo',
+        kind: 'Relazione tecnica di sopralluogo',
+        primaryColor: '#1e3a5f',
+        accentColor: '#2c5282'
+    },
+    {
+        id: 'system-dl-verbale',
+        name: 'Verbale di direzione lavori',
+        description: 'Verbale di visita in cantiere del direttore dei lavori',
+        category: 'Direzione Lavori',
+        kind: 'Verbale di direzione lavori',
+        primaryColor: '#2d3748',
+        accentColor: '#4a5568'
+    },
+    {
+        id: 'system-perizia',
+        name: 'Perizia tecnica',
+        description: 'Perizia tecnica con descrizione dello stato dei luoghi e valutazioni',
+        category: 'Perizia',
+        kind: 'Perizia tecnica',
+        primaryColor: '#5a1e1e',
+        accentColor: '#822727'
+    },
+    {
+        id: 'system-sal',
+        name: 'Stato avanzamento lavori (SAL)',
+        description: 'Resoconto dello stato di avanzamento lavori con percentuali per area',
+        category: 'SAL',
+        kind: 'Stato avanzamento lavori',
+        primaryColor: '#1e5a3a',
+        accentColor: '#276749'
+    }
+];
+
+async function loadSystemTemplates() {
+    const ref = db.ref("systemTemplates");
+    const snapshot = await ref.once("value");
+    if (snapshot.val()) return snapshot.val();
+
+    const seeded = {};
+    const now = new Date().toISOString();
+    for (const { kind, primaryColor, accentColor, ...template } of SYSTEM_TEMPLATES) {
+        seeded[template.id] = {
+            ...template,
+            htmlContent: buildSystemTemplate({ kind, primaryColor, accentColor }),
+            system: true,
+            createdAt: now
+        };
+    }
+    await ref.set(seeded);
+    return seeded;
+}
+
+function textToParagraphs(text, className) {
+    const attr = className ? ` class="${className}"` : '';
+    return String(text || '')
+        .split(/\n\s*\n/)
+        .map(p => p.trim())
+        .filter(Boolean)
+        .map(p => `<p${attr}>${escapeHtml(p).replace(/\n/g, '<br>')}</p>`)
+        .join('\n');
+}
+
+function listItems(items) {
+    const entries = (Array.isArray(items) ? items : []).filter(i => typeof i === 'string' && i.trim());
+    return entries.length ? `<ul>\n${entries.map(i => `<li>${escapeHtml(i.trim())}</li>`).join('\n')}\n</ul>` : '';
+}
+
+// Renders PROMPTS.reportContent output as unstyled semantic HTML. Photo
+// placeholders and the signature block match the hard-coded report layout,
+// so photos and the professional profile are filled in the same way.
+function renderReportContent(content) {
+    const sections = [];
+    const section = (title, body) => {
+        if (body) sections.push(`<section class="report-section">\n<h2>${title}</h2>\n${body}\n</section>`);
+    };
+
+    section('Premessa', textToParagraphs(content.premessa));
+
+    const areas = (Array.isArray(content.areas) ? content.areas : []).filter(a => a && a.name);
+    section('Stato dei lavori', areas.map(area => {
+        const photos = (Array.isArray(area.photos) && area.photos.length ? area.photos : [''])
+            .map(photo => `<div class="photo-placeholder">[FOTO: ${escapeHtml(area.name)}${photo ? ` - ${escapeHtml(photo)}` : ''}]</div>`)
+            .join('\n');
+        return [
+            `<div class="report-area">`,
+            `<h3>${escapeHtml(area.name)}</h3>`,
+            textToParagraphs(area.description),
+            area.progress ? `<p class="area-progress"><strong>Avanzamento:</strong> ${escapeHtml(area.progress)}</p>` : '',
+            photos,
+            `</div>`
+        ].filter(Boolean).join('\n');
+    }).join('\n'));
+
+    section('Rilievi e osservazioni tecniche', [
+        listItems(content.observations),
+        content.recommendations?.length ? `<h3>Raccomandazioni</h3>\n${listItems(content.recommendations)}` : ''
+    ].filter(Boolean).join('\n'));
+
+    section('Conclusioni', [
+        textToParagraphs(content.conclusions),
+        content.nextVisit ? `<p><strong>Prossimo sopralluogo:</strong> ${escapeHtml(content.nextVisit)}</p>` : ''
+    ].filter(Boolean).join('\n'));
+
+    sections.push(`<div class="signature-section">
+  <p class="signature-label">Il Tecnico</p>
+  <p class="signature-name"><!-- FIRMA_NOME --></p>
+  <p class="signature-reg"><!-- FIRMA_ORDINE --></p>
+  <p class="signature-company"><!-- FIRMA_STUDIO --></p>
+  <div class="signature-image"><!-- FIRMA_IMMAGINE --></div>
+  <div class="signature-line">________________________</div>
+  <p class="signature-caption">Firma</p>
+</div>`);
+
+    return sections.join('\n\n');
+}
+
+function mergeTemplate(templateHtml, values) {
+    return templateHtml.replace(/\{\{\s*(title|date|content|author)\s*\}\}/g, (placeholder, key) => values[key] ?? '');
+}
+
+// --- STRUCTURED EXTRACTION ---
+// The AI's JSON is normalized before it is stored in calls/{id}/extraction:
+// items without their main text are dropped, numbers and dates are coerced
+// and unknown severities fall back to "medium".
+const EXTRACTION_MAX_ITEMS = 100;
+
+function cleanText(value, maxLength = 1000) {
+    if (typeof value !== 'string' && typeof value !== 'number') return null;
+    const text = String(value).trim().slice(0, maxLength);
+    return text && text.toLowerCase() !== 'null' ? text : null;
+}
+
+function cleanNumber(value) {
+    const number = typeof value === 'number' ? value : parseFloat(String(value ?? '').replace(',', '.'));
+    return Number.isFinite(number) ? number : null;
+}
+
+function cleanPercent(value) {
+    const number = cleanNumber(value);
+    return number === null ? null : Math.round(Math.min(100, Math.max(0, number)));
+}
+
+function cleanDate(value) {
+    return typeof value === 'string' && DATE_PATTERN.test(value) && !isNaN(Date.parse(value)) ? value : null;
+}
+
+function normalizeExtraction(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('Estrazione AI non valida');
+    }
+    const list = (items, normalize) => (Array.isArray(items) ? items : [])
+        .filter(item => item && typeof item === 'object')
+        .map(normalize)
+        .filter(Boolean)
+        .slice(0, EXTRACTION_MAX_ITEMS);
+
+    return {
+        areas: list(data.areas, area => {
+            const name = cleanText(area.name, 200);
+            return name && { name, progress: cleanPercent(area.progress), notes: cleanText(area.notes) };
+        }),
+        issues: list(data.issues, issue => {
+            const description = cleanText(issue.description);
+            const severity = String(issue.severity || '').toLowerCase();
+            return description && {
+                description,
+                severity: ISSUE_SEVERITIES.includes(severity) ? severity : 'medium',
+                area: cleanText(issue.area, 200)
+            };
+        }),
+        measurements: list(data.measurements, measurement => {
+            const description = cleanText(measurement.description);
+            return description && {
+                description,
+                value: cleanNumber(measurement.value) ?? cleanText(measurement.value, 100),
+                unit: cleanText(measurement.unit, 20),
+                area: cleanText(measurement.area, 200)
+            };
+        }),
+        materials: list(data.materials, material => {
+            const name = cleanText(material.name, 200);
+            return name && {
+                name,
+                quantity: cleanNumber(material.quantity),
+                unit: cleanText(material.unit, 20),
+                notes: cleanText(material.notes),
+                area: cleanText(material.area, 200)
+            };
+        }),
+        actionItems: list(data.actionItems, action => {
+            const description = cleanText(action.description);
+            return description && {
+                description,
+                owner: cleanText(action.owner, 200),
+                dueDate: cleanDate(action.dueDate),
+                area: cleanText(action.area, 200)
+            };
+        })
+    };
+}
+
+// The input_data lines describing what a report is written from
+function reportSourceData({ transcription, extraction }) {
+    if (extraction) {
+        const { extractedAt, ...data } = extraction;
+        return PROMPTS.extractionSource.replace("{extraction}", JSON.stringify(data, null, 2));
+    }
+    return `- Trascrizione Note Vocali:\n${transcription}`;
+}
+
+// --- SUMMARIES AND DIGESTS ---
+// Calls get an AI summary queued as a job whenever their transcript changes
+// (unless the client sends its own). A project's digest combines its calls
+// into a progress overview; it is cached in projectDigests/{projectId} with a
+// signature of the calls' ids and update times, and rebuilt only when that
+// signature changes.
+const SUMMARY_MAX_TRANSCRIPT = 60000;
+const DIGEST_MAX_VISIT_TEXT = 2000;
+
+function digestSignature(calls) {
+    const entries = calls.map(call => `${call.id}:${call.updatedAt || call.createdAt}`).sort();
+    return crypto.createHash('sha256').update(entries.join('|')).digest('hex');
+}
+
+// Calls of a project in the order they happened
+async function loadDigestCalls(projectId) {
+    return (await loadProjectCalls(projectId))
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+}
+
+function formatDigestVisit(call) {
+    const lines = [`### ${(call.createdAt || '').slice(0, 10)} - ${call.title || 'Sopralluogo'}`];
+    const summary = call.summary || (call.transcript || '').slice(0, DIGEST_MAX_VISIT_TEXT);
+    if (summary) lines.push(`Sintesi: ${summary}`);
+    if (call.extraction) {
+        // The database drops empty lists, so either may be missing
+        const areas = (call.extraction.areas || [])
+            .map(area => `${area.name}${area.progress !== null && area.progress !== undefined ? ` ${area.progress}%` : ''}`);
+        if (areas.length) lines.push(`Avanzamento aree: ${areas.join(', ')}`);
+        const issues = (call.extraction.issues || []).map(issue => `${issue.description} (${issue.severity})`);
+        if (issues.length) lines.push(`Problemi: ${issues.join('; ')}`);
+    }
+    return lines.join('\n');
+}
+
+function normalizeDigest(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('Riepilogo AI non valido');
+    }
+    const texts = items => (Array.isArray(items) ? items : []).map(item => cleanText(item)).filter(Boolean);
+    return {
+        overview: cleanText(data.overview, 3000),
+        progress: (Array.isArray(data.progress) ? data.progress : [])
+            .filter(item => item && cleanText(item.area, 200))
+            .map(item => ({ area: cleanText(item.area, 200), progress: cleanPercent(item.progress), trend: cleanText(item.trend) })),
+        openIssues: texts(data.openIssues),
+        nextSteps: texts(data.nextSteps)
+    };
+}
+
+// Queues the summary of a call after its transcript changed. Failures only
+// leave the call without a summary, they never fail the request.
+async function queueCallSummary(userId, callId) {
+    try {
+        const { job, error } = await enqueueJob(userId, 'summarize', { callId });
+        if (error) {
+            console.error(`Summary of call ${callId} not queued:`, error);
+            return;
+        }
+        await db.ref(`calls/${callId}`).update({ summaryStatus: 'pending', summaryJobId: job.id });
+    } catch (error) {
+        console.error(`Summary of call ${callId} not queued:`, error);
+    }
+}
+
+// --- AI TASKS ---
+// Every AI operation is described once here and run either directly by its
+// /api/ai/* route or later by the job queue. The input is checked against
+// `schema`, then prepare() verifies what needs the database (and may
+// normalize the input) before credits are reserved; run() does the work
+// and receives a `complete` function so routes can swap in streaming, plus
+// for jobs a `signal` that aborts on cancellation and a `checkpoint()` to
+// await before every write, which throws once the job was cancelled.
+// Credits are always settled by the caller.
+function hasContent(text) {
+    return Boolean(text && String(text).trim());
+}
+
+function completeText(messages, maxTokens, { purpose = 'report', meter, signal } = {}) {
+    return aiComplete(purpose, messages, { maxTokens, meter, signal });
+}
+
+async function noCheckpoint() {}
+
+// Clarification requests do not modify the report and are not charged
+function isClarification(text) {
+    return String(text || '').trimStart().startsWith("CLARIFICATION:");
+}
+
+// Loads a call for a task. AI work on a studio's call is charged to the
+// studio's credits, so it needs write access.
+async function loadTaskCall(userId, callId) {
+    if (!db) return { status: 503, error: "Database non configurato" };
+    return loadCall(userId, callId, 'write');
+}
+
+const AI_TASKS = {
+    transcribe: {
+        credits: 1,
+        schema: SCHEMAS.transcribe,
+        errorMessage: "Errore nella trascrizione audio",
+        async prepare(userId, input) {
+            if (!input.audio) return { status: 400, error: "Audio mancante" };
+            return { input: { audio: input.audio, mimeType: input.mimeType || "audio/webm" } };
+        },
+        async run(userId, input, { meter, signal } = {}) {
+            return { transcription: await transcribeAudio(input.audio, input.mimeType, meter, signal) };
+        },
+        usable: result => hasContent(result.transcription),
+        // Audio is kept out of the job record, it only lives in memory
+        storedInput: input => ({ mimeType: input.mimeType, audioLength: input.audio.length })
+    },
+
+    // A recording in storage (see UPLOADS), run only as a job. It is split
+    // into segments that are transcribed separately and stitched back with
+    // their timestamps. One credit is reserved up front and the rest, one
+    // per started AUDIO_MINUTES_PER_CREDIT minutes, once the duration is
+    // known. The upload is removed once transcribed.
+    'transcribe-upload': {
+        credits: 1,
+        schema: SCHEMAS.transcribeUpload,
+        errorMessage: "Errore nella trascrizione audio",
+        async prepare(userId, input) {
+            if (!db) return { status: 503, error: "Database non configurato" };
+            if (!storage) return { status: 503, error: "Archiviazione file non configurata" };
+            const { upload, status, error } = await loadUpload(userId, input.uploadId, 'audio');
+            if (!upload) return { status, error };
+            return { input: { uploadId: upload.id } };
+        },
+        async run(userId, input, { meter, signal, charge }) {
+            const uploadSnap = await db.ref(`uploads/${input.uploadId}`).once("value");
+            const upload = uploadSnap.val();
+            if (!upload) throw new Error('Caricamento non trovato');
+
+            let workDir = null;
+            try {
+                workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'archiflow-audio-'));
+                const source = path.join(workDir, 'recording');
+                await storage.download(upload.path, source);
+                const segments = await splitAudio(source, workDir, signal);
+                if (segments.length === 0) throw new Error('File audio vuoto');
+
+                const duration = segments[segments.length - 1].end;
+                const credits = Math.max(1, Math.ceil(duration / (AUDIO_MINUTES_PER_CREDIT * 60)));
+                if (credits > 1) await charge(credits - 1);
+
+                const transcribed = await transcribeSegments(segments, meter, signal);
+                const transcription = stitchTranscript(transcribed);
+                if (hasContent(transcription)) await removeUpload(upload);
+                return {
+                    transcription,
+                    segments: transcribed,
+                    durationSeconds: Math.round(duration),
+                    creditsCharged: credits
+                };
+            } finally {
+                if (workDir) await fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+            }
+        },
+        usable: result => hasContent(result.transcription)
+    },
+
+    'generate-report': {
+        credits: 1,
+        schema: SCHEMAS.generateReport,
+        streamable: true,
+        errorMessage: "Errore nella generazione del report",
+        async prepare(userId, input) {
+            if (!input.transcription && !input.useExtraction) return { status: 400, error: "Trascrizione mancante" };
+            if (input.useExtraction && !input.callId) {
+                return { status: 400, error: "callId richiesto per usare i dati estratti" };
+            }
+
+            // Reports generated for a call are saved as a new version of it.
+            // With useExtraction they are written from its structured data.
+            let extraction = null;
+            let projectId = input.projectId || null;
+            let orgId = null;
+            if (input.callId) {
+                const { call, error, status } = await loadTaskCall(userId, input.callId);
+                if (error) return { status, error };
+                projectId = call.projectId;
+                orgId = call.orgId || null;
+                if (input.useExtraction) {
+                    if (!call.extraction) {
+                        return { status: 409, error: "La chiamata non ha dati estratti: esegui prima l'estrazione" };
+                    }
+                    extraction = call.extraction;
+                }
+            }
+
+            if (input.templateId) {
+                // Template reports are built from JSON, there is nothing useful to stream
+                if (input.stream) return { status: 400, error: "Lo streaming non è disponibile con un template" };
+                const { template, error, status } = await loadTemplate(userId, input.templateId);
+                if (error) return { status, error };
+                if (!/\{\{\s*content\s*\}\}/.test(template.htmlContent || '')) {
+                    return { status: 400, error: "Il template non contiene il segnaposto {{content}}" };
+                }
+            }
+
+            if (projectId && !input.callId) {
+                const { project, error, status } = await loadProject(userId, projectId, 'write');
+                if (!project) return { status, error };
+                orgId = project.orgId || null;
+            }
+
+            const { projectTitle, reportTitle, transcription, writingStyle, callId, templateId } = input;
+            const areas = input.areas || extraction?.areas?.map(area => area.name);
+            return {
+                input: {
+                    projectTitle, reportTitle, transcription: extraction ? null : transcription, extraction,
+                    areas, writingStyle, callId, projectId, templateId
+                },
+                orgId
+            };
+        },
+        async run(userId, input, { complete = completeText, checkpoint = noCheckpoint } = {}) {
+            const { projectTitle, reportTitle, transcription, extraction, areas, writingStyle, callId, projectId, templateId } = input;
+
+            // Items raised by this same call are new findings, not follow-ups
+            const openItems = projectId
+                ? (await loadActionItems(projectId, 'open')).filter(item => !callId || item.raisedInCallId !== callId)
+                : [];
+
+            let photos = [];
+            if (callId) {
+                const photosSnap = await db.ref(`callImages/${callId}`).once("value");
+                photos = photosSnap.val()
+                    ? Object.values(photosSnap.val()).map(p => ({ area: p.area || null, caption: p.caption || null }))
+                    : [];
+            }
+
+            const title = reportTitle || "Relazione Tecnica di Sopralluogo";
+            const date = formatReportDate();
+            const prompt = (templateId ? PROMPTS.reportContent : PROMPTS.reportGeneration)
+                .replace("{projectTitle}", projectTitle || "Progetto")
+                .replace("{reportTitle}", title)
+                .replace("{date}", date)
+                .replace("{areas}", JSON.stringify(areas || []))
+                .replace("{photos}", photos.length ? JSON.stringify(photos) : "nessuna")
+                .replace(/{writingStyle}/g, writingStyle || "standard")
+                .replace("{openItems}", formatOpenItems(openItems))
+                .replace("{sourceData}", reportSourceData({ transcription, extraction }));
+            const messages = [{ role: "user", content: prompt }];
+
+            const profile = await loadProfile(userId);
+            let html;
+            if (templateId) {
+                const { template, error } = await loadTemplate(userId, templateId);
+                if (error) throw new Error(error);
+                const content = parseJsonResponse(await complete(messages, 8000));
+                html = mergeTemplate(template.htmlContent, {
+                    title: escapeHtml(title),
+                    date: escapeHtml(date),
+                    content: renderReportContent(content),
+                    author: escapeHtml([profile.fullName, profile.studioName].filter(Boolean).join(' - '))
+                });
+            } else {
+                html = cleanHtmlResponse(await complete(messages, 16000));
+            }
+
+            html = applyProfileToReport(html, profile);
+            if (callId) html = await placeCallPhotos(callId, html);
+
+            let version = null;
+            if (callId && html) {
+                await checkpoint();
+                version = await saveReportVersion(callId, userId, {
+                    html,
+                    source: 'generate',
+                    params: {
+                        reportTitle: reportTitle || null,
+                        writingStyle: writingStyle || 'standard',
+                        templateId: templateId || null,
+                        fromExtraction: Boolean(extraction),
+                        openActionItems: openItems.length
+                    }
+                });
+            }
+
+            return {
+                html,
+                reportId: version ? `${callId}-v${version}` : `report-${Date.now()}`,
+                version
+            };
+        },
+        usable: result => hasContent(result.html)
+    },
+
+    extract: {
+        credits: 1,
+        schema: SCHEMAS.extract,
+        errorMessage: "Errore nell'estrazione dei dati",
+        async prepare(userId, input) {
+            const { call, error, status } = await loadTaskCall(userId, input.callId);
+            if (error) return { status, error };
+            if (!hasContent(call.transcript)) return { status: 400, error: "La chiamata non ha una trascrizione" };
+            return { input: { callId: input.callId }, orgId: call.orgId || null };
+        },
+        async run(userId, input, { complete = completeText, checkpoint = noCheckpoint } = {}) {
+            const { call, error } = await loadTaskCall(userId, input.callId);
+            if (error) throw new Error(error);
+
+            const prompt = PROMPTS.extraction
+                .replace("{areas}", JSON.stringify((call.areas || []).map(area => area?.name || area)))
+                .replace("{date}", (call.createdAt || new Date().toISOString()).slice(0, 10))
+                .replace("{transcription}", call.transcript);
+            const extraction = {
+                ...normalizeExtraction(parseJsonResponse(await complete([{ role: "user", content: prompt }], 8000, { purpose: 'extraction' }))),
+                extractedAt: new Date().toISOString()
+            };
+
+            await checkpoint();
+            await db.ref(`calls/${input.callId}`).update({ extraction, updatedAt: extraction.extractedAt });
+            return { extraction };
+        },
+        usable: result => Boolean(result.extraction)
+    },
+
+    // Included in the plan: queued automatically for every new transcript
+    summarize: {
+        credits: 0,
+        schema: SCHEMAS.summarize,
+        errorMessage: "Errore nella generazione del riassunto",
+        async prepare(userId, input) {
+            const { call, error, status } = await loadTaskCall(userId, input.callId);
+            if (error) return { status, error };
+            if (!hasContent(call.transcript)) return { status: 400, error: "La chiamata non ha una trascrizione" };
+            return { input: { callId: input.callId }, orgId: call.orgId || null };
+        },
+        async run(userId, input, { complete = completeText, checkpoint = noCheckpoint } = {}) {
+            const { call, error } = await loadTaskCall(userId, input.callId);
+            if (error) throw new Error(error);
+
+            let summary;
+            try {
+                summary = (await complete([{
+                    role: "user",
+                    content: PROMPTS.callSummary.replace("{transcription}", call.transcript.slice(0, SUMMARY_MAX_TRANSCRIPT))
+                }], 1000, { purpose: 'summary' })).trim();
+            } catch (error) {
+                await db.ref(`calls/${input.callId}`).update({ summaryStatus: 'failed' });
+                throw error;
+            }
+
+            await checkpoint();
+            const now = new Date().toISOString();
+            await db.ref(`calls/${input.callId}`).update({
+                summary,
+                summaryStatus: 'done',
+                summaryGeneratedAt: now,
+                updatedAt: now
+            });
+            await reindexCall(input.callId);
+            return { summary };
+        },
+        usable: result => hasContent(result.summary)
+    },
+
+    digest: {
+        credits: 1,
+        schema: SCHEMAS.digest,
+        errorMessage: "Errore nella generazione del riepilogo di progetto",
+        async prepare(userId, input) {
+            const { project, status, error } = await loadProject(userId, input.projectId, 'write');
+            if (!project) return { status, error };
+            if ((await loadDigestCalls(input.projectId)).length === 0) {
+                return { status: 400, error: "Il progetto non ha ancora chiamate" };
+            }
+            return { input: { projectId: input.projectId }, orgId: project.orgId || null };
+        },
+        async run(userId, input, { complete = completeText, checkpoint = noCheckpoint } = {}) {
+            const { project, error } = await loadProject(userId, input.projectId, 'write');
+            if (!project) throw new Error(error);
+            const [calls, openItems] = await Promise.all([
+                loadDigestCalls(input.projectId),
+                loadActionItems(input.projectId, 'open')
+            ]);
+
+            const prompt = PROMPTS.projectDigest
+                .replace("{projectTitle}", project.title)
+                .replace("{client}", project.client || "non indicato")
+                .replace("{siteAddress}", project.siteAddress || "non indicato")
+                .replace("{openItems}", formatOpenItems(openItems))
+                .replace("{visits}", calls.map(formatDigestVisit).join('\n\n'));
+            const summary = normalizeDigest(parseJsonResponse(await complete([{ role: "user", content: prompt }], 4000, { purpose: 'digest' })));
+
+            const digest = {
+                ...summary,
+                timeline: calls.map(call => ({
+                    callId: call.id,
+                    date: call.createdAt,
+                    title: call.title || null,
+                    status: call.status || null,
+                    summary: call.summary || null
+                })),
+                callCount: calls.length,
+                signature: digestSignature(calls),
+                builtAt: new Date().toISOString()
+            };
+            await checkpoint();
+            await db.ref(`projectDigests/${input.projectId}`).set(digest);
+            return { digest, cached: false };
+        },
+        usable: result => Boolean(result.digest?.overview)
+    },
+
+    'refine-report': {
+        credits: 1,
+        schema: SCHEMAS.refineReport,
+        streamable: true,
+        errorMessage: "Errore nella modifica del report",
+        async prepare(userId, input) {
+            const { userMessage, callId } = input;
+            let { currentHtml } = input;
+
+            // Refinements of a call's report default to its current HTML and
+            // are saved as a new version
+            let orgId = null;
+            if (callId) {
+                const { call, error, status } = await loadTaskCall(userId, callId);
+                if (error) return { status, error };
+                currentHtml = currentHtml || call.reportHtml;
+                orgId = call.orgId || null;
+            }
+
+            if (!currentHtml || !userMessage) {
+                return { status: 400, error: "HTML corrente e messaggio utente richiesti" };
+            }
+            return { input: { currentHtml, userMessage, callId }, orgId };
+        },
+        async run(userId, input, { complete = completeText, checkpoint = noCheckpoint } = {}) {
+            const { currentHtml, userMessage, callId } = input;
+
+            const prompt = PROMPTS.refineReport
+                .replace("{currentHtml}", currentHtml)
+                .replace("{userMessage}", userMessage);
+
+            const result = await complete([{ role: "user", content: prompt }], 16000, { holdPrefix: "CLARIFICATION:" });
+
+            if (isClarification(result)) {
+                return {
+                    needsClarification: true,
+                    message: result.replace("CLARIFICATION:", "").trim()
+                };
+            }
+
+            const html = applyProfileToReport(cleanHtmlResponse(result), await loadProfile(userId));
+            let version = null;
+            if (callId && html) {
+                await checkpoint();
+                version = await saveReportVersion(callId, userId, {
+                    html,
+                    source: 'refine',
+                    instruction: userMessage
+                });
+            }
+            return { html, version };
+        },
+        usable: result => result.needsClarification ? hasContent(result.message) : hasContent(result.html),
+        refundIf: result => Boolean(result.needsClarification)
+    },
+
+    template: {
+        credits: 1,
+        schema: SCHEMAS.convertPdf,
+        errorMessage: "Errore nella conversione PDF",
+        async prepare() {
+            return { input: {} };
+        },
+        async run(userId, input, { complete = completeText } = {}) {
+            const html = cleanHtmlResponse(await complete([
+                { role: "user", content: PROMPTS.pdfTemplate }
+            ], 8000, { purpose: 'template' }));
+            return { html };
+        },
+        usable: result => hasContent(result.html)
+    }
+};
+
+function sendCreditError(res, reservation) {
+    return res.status(402).json({
+        error: reservation.error,
+        creditsAvailable: reservation.available,
+        creditsRequired: reservation.required
+    });
+}
+
+// Runs an AI task inside the request. With `stream: true` in the body,
+// streamable tasks forward tokens over SSE and finish with a "done" event
+// carrying the result. Its HTML has the profile filled in and should replace
+// the streamed draft. The input defaults to the request body.
+async function handleAiTask(type, req, res, input = req.body || {}) {
+    const task = AI_TASKS[type];
+    const invalid = validateFields(task.schema.body, input);
+    if (invalid) return sendValidationError(res, invalid);
+
+    try {
+        const prepared = await task.prepare(req.user.uid, input);
+        if (prepared.error) return res.status(prepared.status).json({ error: prepared.error });
+
+        const reservation = await reserveCredits(req.user.uid, task.credits, type, prepared.orgId);
+        if (!reservation.success) return sendCreditError(res, reservation);
+
+        const settle = { usable: task.usable, refundIf: task.refundIf };
+
+        const meter = { userId: req.user.uid, endpoint: type };
+
+        if (input.stream && task.streamable) {
+            openSseStream(res);
+            try {
+                const complete = (messages, maxTokens, options) =>
+                    streamCompletion(res, messages, { maxTokens, ...options, meter });
+                const { result, creditsRemaining } = await withCredits(reservation, () =>
+                    task.run(req.user.uid, prepared.input, { complete, meter }), settle);
+
+                sendSseEvent(res, 'done', { success: true, ...result, creditsRemaining });
+            } catch (error) {
+                console.error(`AI task ${type} stream error:`, error);
+                sendSseEvent(res, 'error', { error: task.errorMessage });
+            }
+            return res.end();
+        }
+
+        const complete = (messages, maxTokens, options) => completeText(messages, maxTokens, { ...options, meter });
+        const { result, creditsRemaining } = await withCredits(reservation, () =>
+            task.run(req.user.uid, prepared.input, { complete, meter }), settle);
+
+        res.json({ success: true, ...result, creditsRemaining });
+    } catch (error) {
+        console.error(`AI task ${type} error:`, error);
+        res.status(500).json({ error: task.errorMessage });
+    }
+}
+
+// --- JOBS ---
+// Asynchronous execution of AI_TASKS. A job is stored in jobs/{id} and moves
+// queued -> running -> done | failed, or to cancelled from the first two.
+// Credits are reserved when the job is created and settled by whichever
+// transition ends it, so a cancelled job is always refunded exactly once.
+// A running job watches its status and aborts its AI calls once cancelled
+// (the cancel may reach another instance), and gives up shortly before the
+// platform would stop it. Jobs whose instance was stopped anyway are failed
+// and refunded by reapJob.
+const JOB_STATUS_POLL_MS = 2000;
+const JOB_SETTLE_MARGIN_MS = 15000; // left to record the outcome before the platform limit
+
+// Applies updates only if the job is still in one of the given statuses.
+// Resolves with the updated job, or null if the transition did not happen.
+async function transitionJob(jobId, fromStatuses, updates) {
+    const { committed, snapshot } = await db.ref(`jobs/${jobId}`).transaction(job => {
+        if (!job) return job;
+        if (!fromStatuses.includes(job.status)) return;
+        return { ...job, ...updates, updatedAt: new Date().toISOString() };
+    });
+    return committed ? snapshot.val() : null;
+}
+
+async function createJob(userId, type, input, reservation) {
+    const task = AI_TASKS[type];
+    const jobRef = db.ref('jobs').push();
+    const now = new Date().toISOString();
+    const job = {
+        id: jobRef.key,
+        type,
+        status: 'queued',
+        userId,
+        input: task.storedInput ? task.storedInput(input) : input,
+        reservation,
+        createdAt: now,
+        updatedAt: now
+    };
+    await jobRef.set(job);
+    return job;
+}
+
+// The task input is passed in memory because some of it (audio) is never
+// written to the job record.
+async function runJob(jobId, input) {
+    const job = await transitionJob(jobId, ['queued'], { status: 'running', startedAt: new Date().toISOString() });
+    if (!job) return; // cancelled before it started
+
+    const task = AI_TASKS[job.type];
+    const meter = { userId: job.userId, endpoint: job.type, jobId };
+    const controller = new AbortController();
+    const signal = controller.signal;
+    const checkpoint = async () => {
+        signal.throwIfAborted();
+        const statusSnap = await db.ref(`jobs/${jobId}/status`).once("value");
+        if (statusSnap.val() !== 'running') {
+            controller.abort(new Error('Job annullato'));
+            signal.throwIfAborted();
+        }
+    };
+    const deadline = setTimeout(() => controller.abort(new Error('Tempo massimo del job superato')),
+        FUNCTION_MAX_DURATION_MS - JOB_SETTLE_MARGIN_MS);
+    const watcher = setInterval(() => {
+        checkpoint().catch(() => {});
+    }, JOB_STATUS_POLL_MS);
+
+    // Reserves more credits once the task knows its full cost
+    const charge = async amount => {
+        const extended = await extendReservation(job.reservation, amount);
+        if (!extended.success) throw new Error(extended.error);
+    };
+
+    const complete = (messages, maxTokens, options) => completeText(messages, maxTokens, { ...options, meter, signal });
+    let result = null;
+    let failure = null;
+    try {
+        result = await task.run(job.userId, input, { complete, meter, signal, checkpoint, charge });
+        if (!task.usable(result)) throw new Error('Risposta AI vuota');
+    } catch (error) {
+        console.error(`Job ${jobId} (${job.type}) failed:`, error);
+        failure = error;
+    } finally {
+        clearTimeout(deadline);
+        clearInterval(watcher);
+    }
+
+    const finishedAt = new Date().toISOString();
+    const finished = failure
+        ? await transitionJob(jobId, ['running'], { status: 'failed', error: task.errorMessage, finishedAt })
+        : await transitionJob(jobId, ['running'], { status: 'done', result, finishedAt });
+    if (!finished) return; // cancelled while running, already refunded
+
+    if (failure) {
+        await releaseCredits(job.reservation, failure.message);
+    } else if (task.refundIf && task.refundIf(result)) {
+        await releaseCredits(job.reservation, 'Risposta non addebitabile');
+    } else {
+        await commitCredits(job.reservation);
+    }
+}
+
+// Fails and refunds a job still queued or running after the platform limit:
+// its instance was stopped before it could finish.
+async function reapJob(job) {
+    const since = new Date(job.startedAt || job.createdAt).getTime();
+    if (!['queued', 'running'].includes(job.status) || Date.now() - since < FUNCTION_MAX_DURATION_MS) return job;
+
+    const failed = await transitionJob(job.id, ['queued', 'running'], {
+        status: 'failed',
+        error: "Il job è stato interrotto",
+        finishedAt: new Date().toISOString()
+    });
+    if (!failed) return job;
+    await releaseCredits(failed.reservation, 'Job interrotto');
+    return failed;
+}
+
+// Reaps the user's latest jobs, so interrupted ones do not keep holding
+// their credits
+async function reapStaleJobs(userId) {
+    const snapshot = await db.ref('jobs').orderByChild('userId').equalTo(userId).limitToLast(50).once("value");
+    await Promise.all(Object.values(snapshot.val() || {}).map(reapJob));
+}
+
+// Prepares a task, reserves its credits and schedules it as a job. Returns
+// { job }, { status, error } when prepare() refuses the input, or
+// { reservation } when the credits are not enough.
+async function enqueueJob(userId, type, input) {
+    const task = AI_TASKS[type];
+    const prepared = await task.prepare(userId, input);
+    if (prepared.error) return prepared;
+
+    await reapStaleJobs(userId);
+
+    const reservation = await reserveCredits(userId, task.credits, type, prepared.orgId);
+    if (!reservation.success) return { status: 402, error: reservation.error, reservation };
+
+    let job;
+    try {
+        job = await createJob(userId, type, prepared.input, reservation);
+    } catch (error) {
+        await releaseCredits(reservation, error.message);
+        throw error;
+    }
+
+    scheduleJob(job.id, prepared.input);
+    return { job };
+}
+
+// Runs the job after the response is sent. On Vercel, waitUntil keeps the
+// function alive until it settles; elsewhere it simply runs in the process.
+function scheduleJob(jobId, input) {
+    waitUntil(runJob(jobId, input).catch(error => {
+        console.error(`Job ${jobId} runner error:`, error);
+    }));
+}
+
+// --- PUBLIC ENDPOINTS ---
+
+app.get("/api/health", (req, res) => {
+    res.json({
+        status: "healthy",
+        version: "2.0",
+        timestamp: new Date().toISOString(),
+        services: {
+            firebase: db ? "connected" : "not configured",
+            ai: AI_PROVIDERS[AI_PROVIDER_OVERRIDE || 'openrouter']?.configured ? "configured" : "not configured"
+        }
+    });
+});
+
+app.get("/api/ai/health", (req, res) => {
+    res.json({
+        status: "ok",
+        provider: AI_PROVIDER_OVERRIDE || 'openrouter',
+        models: Object.fromEntries(Object.keys(AI_MODELS).map(purpose => [
+            purpose,
+            aiAttempts(purpose).map(({ provider, model }) => `${provider}:${model}`)
+        ]))
+    });
+});
+
+// --- USER ENDPOINTS ---
+
+app.get("/api/users/:id", verifyToken, async (req, res) => {
+    if (!db) return res.status(503).json({ error: "Database non configurato" });
+    if (req.params.id !== req.user.uid) {
+        return res.status(403).json({ error: "Accesso negato" });
+    }
+
+    try {
+        const snapshot = await db.ref(`users/${req.params.id}`).once("value");
+        const user = snapshot.val();
+        if (!user) return res.status(404).json({ error: "Utente non trovato" });
+        res.json(user);
+    } catch (error) {
+        console.error('Get user error:', error);
+        res.status(500).json({ error: "Errore interno del server" });
+    }
+});
+
+app.put("/api/users/:id", verifyToken, validateRequest(SCHEMAS.updateUser), async (req, res) => {
+    if (!db) return res.status(503).json({ error: "Database non configurato" });
+    if (req.params.id !== req.user.uid) {
+        return res.status(403).json({ error: "Accesso negato" });
+    }
+
+    try {
+        const allowedFields = ['name', 'avatar'];
+        const updates = {};
+        for (const field of allowedFields) {
+            if (req.body[field] !== undefined) {
+                updates[field] = req.body[field];
+            }
+        }
+
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({ error: "Nessun campo valido da aggiornare" });
+        }
+
+        await db.ref(`users/${req.params.id}`).update(updates);
+        res.json({ success: true, updated: Object.keys(updates) });
+    } catch (error) {
+        console.error('Update user error:', error);
+        res.status(500).json({ error: "Errore interno del server" });
+    }
+});
+
+app.put("/api/users/:id/profile", verifyToken, validateRequest(SCHEMAS.updateProfile), async (req, res) => {
+    if (!db) return res.status(503).json({ error: "Database non configurato" });
+    if (req.params.id !== req.user.uid) {
+        return res.status(403).json({ error: "Accesso negato" });
+    }
+
+    const updates = profileUpdates(req.body);
+    if (Object.keys(updates).length === 0) {
+        return res.status(400).json({ error: "Nessun campo valido da aggiornare" });
+    }
+
+    try {
+        await db.ref(`users/${req.params.id}/profile`).update(updates);
+        const snapshot = await db.ref(`users/${req.params.id}/profile`).once("value");
+        res.json({ success: true, updated: Object.keys(updates), profile: snapshot.val() || {} });
+    } catch (error) {
+        console.error('Update profile error:', error);
+        res.status(500).json({ error: "Errore interno del server" });
+    }
+});
+
+app.get("/api/users/:id/stats", verifyToken, async (req, res) => {
+    if (!db) return res.status(503).json({ error: "Database non configurato" });
+    if (req.params.id !== req.user.uid) {
+        return res.status(403).json({ error: "Accesso negato" });
+    }
+
+    try {
+        const [userSnap, poolVal, projectsSnap, callsSnap] = await Promise.all([
+            db.ref(`users/${req.user.uid}`).once("value"),
+            syncCreditPeriod(userCreditAccount(req.user.uid)),
+            db.ref("projects").orderByChild("userId").equalTo(req.user.uid).once("value"),
+            db.ref("calls").orderByChild("userId").equalTo(req.user.uid).once("value")
+        ]);
+
+        const user = userSnap.val() || {};
+        const pool = poolVal || {};
+        const projects = projectsSnap.val() ? Object.values(projectsSnap.val()) : [];
+        const calls = callsSnap.val() ? Object.values(callsSnap.val()) : [];
+
+        res.json({
+            credits: {
+                used: pool.creditsUsed || 0,
+                total: pool.creditsTotal ?? getPlan(pool.plan).monthlyCredits,
+                available: creditBalance(pool),
+                rolledOver: pool.creditsRolledOver || 0,
+                period: pool.creditsPeriod || currentCreditPeriod()
+            },
+            counts: {
+                projects: projects.length,
+                calls: calls.length
+            },
+            plan: user.plan || 'Free',
+            memberSince: user.createdAt
+        });
+    } catch (error) {
+        console.error('Get stats error:', error);
+        res.status(500).json({ error: "Errore interno del server" });
+    }
+});
+
+app.get("/api/users/:id/credits/history", verifyToken, validateRequest(SCHEMAS.creditHistory), async (req, res) => {
+    if (!db) return res.status(503).json({ error: "Database non configurato" });
+    if (req.params.id !== req.user.uid) {
+        return res.status(403).json({ error: "Accesso negato" });
+    }
+
+    try {
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+        const snapshot = await db.ref(userCreditAccount(req.user.uid).ledger)
+            .orderByKey()
+            .limitToLast(limit)
+            .once("value");
+
+        const entries = [];
+        snapshot.forEach(child => {
+            entries.push({ id: child.key, ...child.val() });
+        });
+        res.json(entries.reverse());
+    } catch (error) {
+        console.error('Get credit history error:', error);
+        res.status(500).json({ error: "Errore interno del server" });
+    }
+});
+
+// Pending invites to join an organization
+app.get("/api/users/:id/invites", verifyToken, async (req, res) => {
+    if (!db) return res.status(503).json({ error: "Database non configurato" });
+    if (req.params.id !== req.user.uid) {
+        return res.status(403).json({ error: "Accesso negato" });
+    }
+
+    try {
+        const snapshot = await db.ref(`userInvites/${req.user.uid}`).once("value");
+        const now = new Date();
+        res.json(Object.values(snapshot.val() || {}).filter(invite => new Date(invite.expiresAt) > now));
+    } catch (error) {
+        console.error('Get invites error:', error);
+        res.status(500).json({ error: "Errore interno del server" });
+    }
+});
+
+// AI usage of the user over a date range. Costs are only shown to admins.
+app.get("/api/users/:id/usage", verifyToken, validateRequest(SCHEMAS.usage), async (req, res) => {
+    if (!db) return res.status(503).json({ error: "Database non configurato" });
+    if (req.params.id !== req.user.uid) {
+        return res.status(403).json({ error: "Accesso negato" });
+    }
+
+    const range = usageRange(req.query);
+    if (range.error) return res.status(400).json({ error: range.error });
+
+    try {
+        const entries = await loadUsageEntries(range, req.user.uid);
+        const withoutCost = buckets => Object.fromEntries(Object.entries(buckets)
+            .map(([key, { cost, ...bucket }]) => [key, bucket]));
+
+        const { cost, ...totals } = summarizeUsage(entries);
+        res.json({
+            from: range.from,
+            to: range.to,
+            totals,
+            byEndpoint: withoutCost(summarizeUsage(entries, entry => entry.endpoint)),
+            byDay: withoutCost(summarizeUsage(entries, entry => entry.day))
+        });
+    } catch (error) {
+        console.error('Get usage error:', error);
+        res.status(500).json({ error: "Errore interno del server" });
+    }
+});
+
+// --- ORGANIZATION ENDPOINTS ---
+
+// Creates a studio with the user as its owner. Studios start on
+// DEFAULT_PLAN with no credits for the current month, so new studios cannot
+// be used to collect free credits; the allowance comes with the next month
+// or when the studio gets a paid plan (through billing or an admin).
+app.post("/api/orgs", verifyToken, validateRequest(SCHEMAS.createOrg), async (req, res) => {
+    if (!db) return res.status(503).json({ error: "Database non configurato" });
+
+    try {
+        const userSnap = await db.ref(`users/${req.user.uid}`).once("value");
+        const user = userSnap.val() || {};
+        if (user.orgId) return res.status(409).json({ error: "Fai già parte di un'organizzazione" });
+
+        const orgId = db.ref("orgs").push().key;
+        const now = new Date().toISOString();
+        const org = {
+            id: orgId,
+            name: req.body.name.trim(),
+            ownerId: req.user.uid,
+            plan: DEFAULT_PLAN,
+            creditsPeriod: currentCreditPeriod(),
+            creditsUsed: 0,
+            creditsTotal: 0,
+            createdAt: now,
+            updatedAt: now
+        };
+        await db.ref().update({
+            [`orgs/${orgId}`]: org,
+            [`orgMembers/${orgId}/${req.user.uid}`]: { role: 'owner', joinedAt: now, addedBy: req.user.uid },
+            [`users/${req.user.uid}/orgId`]: orgId
+        });
+        forgetAccountState({ userId: req.user.uid });
+
+        res.status(201).json({ ...org, role: 'owner' });
+    } catch (error) {
+        console.error('Create org error:', error);
+        res.status(500).json({ error: "Errore nella creazione dell'organizzazione" });
+    }
+});
+
+// Returns the organization with its members, the user's role and the
+// shared credit pool
+app.get("/api/orgs/:id", verifyToken, async (req, res) => {
+    if (!db) return res.status(503).json({ error: "Database non configurato" });
+
+    try {
+        const { org, role, status, error } = await loadOrg(req.user.uid, req.params.id);
+        if (!org) return res.status(status).json({ error });
+
+        const [membersSnap, invitesSnap, pool] = await Promise.all([
+            db.ref(`orgMembers/${req.params.id}`).once("value"),
+            db.ref(`orgInvites/${req.params.id}`).once("value"),
+            syncCreditPeriod(orgCreditAccount(req.params.id))
+        ]);
+        const members = await Promise.all(Object.entries(membersSnap.val() || {}).map(async ([userId, member]) => {
+            const nameSnap = await db.ref(`users/${userId}/name`).once("value");
+            return { userId, name: nameSnap.val() || null, ...member };
+        }));
+
+        const { creditsUsed, creditsTotal, creditsRolledOver, creditsPeriod, ...details } = pool || org;
+        res.json({
+            ...details,
+            role,
+            members,
+            // Pending invites are only shown to those who may manage them
+            invites: ROLE_ACTIONS[role].includes('manage')
+                ? Object.entries(invitesSnap.val() || {}).map(([userId, invite]) => ({ userId, ...invite }))
+                : undefined,
+            credits: {
+                used: creditsUsed || 0,
+                total: creditsTotal ?? getPlan(org.plan).monthlyCredits,
+                available: creditBalance(pool || org),
+                rolledOver: creditsRolledOver || 0,
+                period: creditsPeriod || currentCreditPeriod()
+            }
+        });
+    } catch (error) {
+        console.error('Get org error:', error);
+        res.status(500).json({ error: "Errore interno del server" });
+    }
+});
+
+app.put("/api/orgs/:id", verifyToken, validateRequest(SCHEMAS.updateOrg), async (req, res) => {
+    if (!db) return res.status(503).json({ error: "Database non configurato" });
+
+    try {
+        const { org, status, error } = await loadOrg(req.user.uid, req.params.id, 'manage');
+        if (!org) return res.status(status).json({ error });
+
+        const updates = { name: req.body.name.trim(), updatedAt: new Date().toISOString() };
+        await db.ref(`orgs/${req.params.id}`).update(updates);
+        res.json({ ...org, ...updates });
+    } catch (error) {
+        console.error('Update org error:', error);
+        res.status(500).json({ error: "Errore nell'aggiornamento dell'organizzazione" });
+    }
+});
+
+// Invites a registered user to the organization with a role. They become a
+// member only by accepting (POST /api/orgs/:id/invites/accept).
+app.post("/api/orgs/:id/invites", verifyToken, validateRequest(SCHEMAS.inviteOrgMember), async (req, res) => {
+    if (!db) return res.status(503).json({ error: "Database non configurato" });
+
+    try {
+        const { org, status, error } = await loadOrg(req.user.uid, req.params.id, 'manage');
+        if (!org) return res.status(status).json({ error });
+
+        const { userId, role } = req.body;
+        const [userSnap, memberSnap] = await Promise.all([
+            db.ref(`users/${userId}`).once("value"),
+            db.ref(`orgMembers/${req.params.id}/${userId}`).once("value")
+        ]);
+        if (!userSnap.val()) return res.status(404).json({ error: "Utente non trovato" });
+        if (memberSnap.val()) return res.status(409).json({ error: "L'utente fa già parte dell'organizzazione" });
+
+        const now = new Date();
+        const invite = {
+            orgId: req.params.id,
+            orgName: org.name,
+            role,
+            invitedBy: req.user.uid,
+            invitedAt: now.toISOString(),
+            expiresAt: new Date(now.getTime() + ORG_INVITE_DAYS * 24 * 60 * 60 * 1000).toISOString()
+        };
+        await db.ref().update({
+            [`orgInvites/${req.params.id}/${userId}`]: invite,
+            [`userInvites/${userId}/${req.params.id}`]: invite
+        });
+
+        res.status(201).json({ userId, ...invite });
+    } catch (error) {
+        console.error('Invite org member error:', error);
+        res.status(500).json({ error: "Errore nell'invio dell'invito" });
+    }
+});
+
+// Joins the organization with the role of the user's pending invite. A user
+// belongs to one organization at most.
+app.post("/api/orgs/:id/invites/accept", verifyToken, async (req, res) => {
+    if (!db) return res.status(503).json({ error: "Database non configurato" });
+
+    try {
+        const [inviteSnap, orgIdSnap] = await Promise.all([
+            db.ref(`orgInvites/${req.params.id}/${req.user.uid}`).once("value"),
+            db.ref(`users/${req.user.uid}/orgId`).once("value")
+        ]);
+        const invite = inviteSnap.val();
+        if (!invite || new Date(invite.expiresAt) <= new Date()) {
+            return res.status(404).json({ error: "Invito non trovato o scaduto" });
+        }
+        if (orgIdSnap.val()) return res.status(409).json({ error: "Fai già parte di un'organizzazione" });
+
+        const member = { role: invite.role, joinedAt: new Date().toISOString(), addedBy: invite.invitedBy };
+        await db.ref().update({
+            [`orgMembers/${req.params.id}/${req.user.uid}`]: member,
+            [`users/${req.user.uid}/orgId`]: req.params.id,
+            [`orgInvites/${req.params.id}/${req.user.uid}`]: null,
+            [`userInvites/${req.user.uid}/${req.params.id}`]: null
+        });
+        forgetAccountState({ userId: req.user.uid });
+
+        res.json({ orgId: req.params.id, userId: req.user.uid, ...member });
+    } catch (error) {
+        console.error('Accept org invite error:', error);
+        res.status(500).json({ error: "Errore nell'accettazione dell'invito" });
+    }
+});
+
+// Withdraws an invite (owners) or declines it (the invited user)
+app.delete("/api/orgs/:id/invites/:userId", verifyToken, async (req, res) => {
+    if (!db) return res.status(503).json({ error: "Database non configurato" });
+
+    try {
+        const { userId } = req.params;
+        if (userId !== req.user.uid) {
+            const { org, status, error } = await loadOrg(req.user.uid, req.params.id, 'manage');
+            if (!org) return res.status(status).json({ error });
+        }
+
+        const inviteSnap = await db.ref(`orgInvites/${req.params.id}/${userId}`).once("value");
+        if (!inviteSnap.val()) return res.status(404).json({ error: "Invito non trovato" });
+
+        await db.ref().update({
+            [`orgInvites/${req.params.id}/${userId}`]: null,
+            [`userInvites/${userId}/${req.params.id}`]: null
+        });
+        res.json({ success: true, message: "Invito eliminato" });
+    } catch (error) {
+        console.error('Delete org invite error:', error);
+        res.status(500).json({ error: "Errore nell'eliminazione dell'invito" });
+    }
+});
+
+// Changes a member's role; the last owner cannot be demoted
+app.put("/api/orgs/:id/members/:userId", verifyToken, validateRequest(SCHEMAS.setOrgMember), async (req, res) => {
+    if (!db) return res.status(503).json({ error: "Database non configurato" });
+
+    try {
+        const { org, status, error } = await loadOrg(req.user.uid, req.params.id, 'manage');
+        if (!org) return res.status(status).json({ error });
+
+        const { userId } = req.params;
+        const membersSnap = await db.ref(`orgMembers/${req.params.id}`).once("value");
+        const members = membersSnap.val() || {};
+        if (!members[userId]) return res.status(404).json({ error: "Membro non trovato" });
+
+        const owners = Object.keys(members).filter(id => members[id].role === 'owner');
+        if (req.body.role !== 'owner' && owners.length === 1 && owners[0] === userId) {
+            return res.status(409).json({ error: "L'organizzazione deve avere almeno un proprietario" });
+        }
+
+        const member = { ...members[userId], role: req.body.role };
+        await db.ref(`orgMembers/${req.params.id}/${userId}`).set(member);
+
+        res.json({ userId, ...member });
+    } catch (error) {
+        console.error('Set org member error:', error);
+        res.status(500).json({ error: "Errore nell'aggiornamento dei membri" });
+    }
+});
+
+// Removes a member; any member may remove themselves to leave. Records the
+// member created stay with the organization.
+app.delete("/api/orgs/:id/members/:userId", verifyToken, async (req, res) => {
+    if (!db) return res.status(503).json({ error: "Database non configurato" });
+
+    try {
+        const { userId } = req.params;
+        const action = userId === req.user.uid ? 'read' : 'manage';
+        const { org, status, error } = await loadOrg(req.user.uid, req.params.id, action);
+        if (!org) return res.status(status).json({ error });
+
+        const membersSnap = await db.ref(`orgMembers/${req.params.id}`).once("value");
+        const members = membersSnap.val() || {};
+        if (!members[userId]) return res.status(404).json({ error: "Membro non trovato" });
+        const owners = Object.keys(members).filter(id => members[id].role === 'owner');
+        if (owners.length === 1 && owners[0] === userId) {
+            return res.status(409).json({ error: "L'organizzazione deve avere almeno un proprietario" });
+        }
+
+        await db.ref().update({
+            [`orgMembers/${req.params.id}/${userId}`]: null,
+            [`users/${userId}/orgId`]: null
+        });
+        forgetAccountState({ userId });
+        res.json({ success: true, message: "Membro rimosso" });
+    } catch (error) {
+        console.error('Remove org member error:', error);
+        res.status(500).json({ error: "Errore nell'aggiornamento dei membri" });
+    }
+});
+
+// --- BILLING ENDPOINTS ---
+
+// The plan catalog and the user's own plan (a studio's plan and subscription
+// are part of GET /api/orgs/:id)
+app.get("/api/billing/plans", verifyToken, async (req, res) => {
+    if (!db) return res.status(503).json({ error: "Database non configurato" });
+
+    try {
+        const holderSnap = await db.ref(`users/${req.user.uid}`).once("value");
+        const holder = holderSnap.val() || {};
+
+        res.json({
+            plans: Object.entries(PLANS).map(([name, plan]) => ({
+                name,
+                monthlyCredits: plan.monthlyCredits,
+                rollover: plan.rollover,
+                maxRolloverCredits: plan.maxRolloverCredits,
+                rateLimits: plan.rateLimits,
+                monthlyPrice: plan.monthlyPrice,
+                currency: 'eur',
+                purchasable: PAID_PLANS.includes(name)
+            })),
+            current: {
+                plan: holder.plan || DEFAULT_PLAN,
+                subscription: holder.billing || null
+            }
+        });
+    } catch (error) {
+        console.error('Get plans error:', error);
+        res.status(500).json({ error: "Errore interno del server" });
+    }
+});
+
+// Opens a checkout session for a paid plan; with orgId the organization's
+// owner subscribes for the whole studio. The client redirects to url.
+app.post("/api/billing/checkout", verifyToken, validateRequest(SCHEMAS.createCheckout), async (req, res) => {
+    if (!db) return res.status(503).json({ error: "Database non configurato" });
+    const provider = BILLING_PROVIDERS[BILLING_PROVIDER];
+    if (!provider?.configured) return res.status(503).json({ error: "Pagamenti non configurati" });
+
+    const { plan, orgId } = req.body;
+    try {
+        let account = userCreditAccount(req.user.uid);
+        if (orgId) {
+            const { org, status, error } = await loadOrg(req.user.uid, orgId, 'manage');
+            if (!org) return res.status(status).json({ error });
+            account = orgCreditAccount(orgId);
+        }
+
+        const holderSnap = await db.ref(account.path).once("value");
+        const holder = holderSnap.val();
+        if (!holder) return res.status(404).json({ error: "Utente non trovato" });
+        if (BILLING_ACTIVE_STATUSES.includes(holder.billing?.status)) {
+            return res.status(409).json({ error: "Abbonamento già attivo", plan: holder.billing.plan });
+        }
+
+        const metadata = { userId: req.user.uid, orgId: orgId || null, plan };
+        const session = await provider.createCheckoutSession({
+            mode: 'subscription',
+            line_items: [{ price: BILLING_PRICES[plan], quantity: 1 }],
+            success_url: `${BILLING_RETURN_URL}?checkout=success&session_id={CHECKOUT_SESSION_ID}`,
+            cancel_url: `${BILLING_RETURN_URL}?checkout=cancelled`,
+            client_reference_id: req.user.uid,
+            customer: holder.billing?.customerId || null,
+            customer_email: holder.billing?.customerId ? null : req.user.email || null,
+            metadata,
+            subscription_data: { metadata }
+        });
+
+        res.status(201).json({ id: session.id, url: session.url, plan });
+    } catch (error) {
+        console.error('Create checkout error:', error);
+        res.status(500).json({ error: "Errore nella creazione del pagamento" });
+    }
+});
+
+// Called by the payment provider, not by clients: authenticated by the
+// signature instead of a Firebase token
+app.post("/api/billing/webhook", async (req, res) => {
+    if (!db) return res.status(503).json({ error: "Database non configurato" });
+    if (!BILLING_WEBHOOK_SECRET) return res.status(503).json({ error: "Pagamenti non configurati" });
+
+    if (!req.rawBody || !verifyBillingSignature(req.headers['stripe-signature'], req.rawBody.toString('utf8'))) {
+        return res.status(400).json({ error: "Firma del webhook non valida" });
+    }
+    const event = req.body;
+    if (!ID_PATTERN.test(event?.id || '') || typeof event.type !== 'string') {
+        return res.status(400).json({ error: "Evento non valido" });
+    }
+
+    const eventRef = db.ref(`billingEvents/${event.id}`);
+    try {
+        const { committed } = await eventRef.transaction(existing => {
+            if (existing) return; // abort, already received
+            return { type: event.type, receivedAt: new Date().toISOString() };
+        });
+        if (!committed) return res.json({ received: true, duplicate: true });
+
+        let outcome;
+        try {
+            outcome = await handleBillingEvent(event);
+        } catch (error) {
+            await eventRef.remove(); // let the provider's retry apply it
+            throw error;
+        }
+        await eventRef.update({ outcome, processedAt: new Date().toISOString() });
+
+        res.json({ received: true, outcome });
+    } catch (error) {
+        console.error('Billing webhook error:', error);
+        res.status(500).json({ error: "Errore nell'elaborazione dell'evento" });
+    }
+});
+
+// --- ADMIN ENDPOINTS ---
+app.get("/api/admin/usage", verifyToken, requireAdmin, validateRequest(SCHEMAS.usage), async (req, res) => {
+    if (!db) return res.status(503).json({ error: "Database non configurato" });
+
+    const range = usageRange(req.query);
+    if (range.error) return res.status(400).json({ error: range.error });
+
+    try {
+        const entries = await loadUsageEntries(range);
+
+        res.json({
+            from: range.from,
+            to: range.to,
+            totals: summarizeUsage(entries),
+            byModel: summarizeUsage(entries, entry => `${entry.provider}:${entry.model}`),
+            byEndpoint: summarizeUsage(entries, entry => entry.endpoint),
+            byPlan: summarizeUsage(entries, entry => entry.plan),
+            byDay: summarizeUsage(entries, entry => entry.day)
+        });
+    } catch (error) {
+        console.error('Get admin usage error:', error);
+        res.status(500).json({ error: "Errore interno del server" });
+    }
+});
+
+// Users by id, with ?q (start of the id or part of the name), ?plan and
+// ?suspended filters
+app.get("/api/admin/users", verifyToken, requireAdmin, validateRequest(SCHEMAS.adminListUsers), async (req, res) => {
+    if (!db) return res.status(503).json({ error: "Database non configurato" });
+
+    try {
+        const page = await adminUserPage({
+            q: req.query.q,
+            plan: req.query.plan,
+            suspended: req.query.suspended === undefined ? undefined : req.query.suspended === 'true',
+            limit: Number(req.query.limit) || LIST_DEFAULT_LIMIT,
+            cursor: req.query.cursor
+        });
+        res.json(page);
+    } catch (error) {
+        console.error('Admin list users error:', error);
+        res.status(500).json({ error: "Errore interno del server" });
+    }
+});
+
+app.get("/api/admin/users/:id", verifyToken, requireAdmin, async (req, res) => {
+    if (!db) return res.status(503).json({ error: "Database non configurato" });
+
+    try {
+        const userSnap = await db.ref(`users/${req.params.id}`).once("value");
+        const user = userSnap.val();
+        if (!user) return res.status(404).json({ error: "Utente non trovato" });
+
+        const [projectsSnap, callsSnap, ledgerSnap, orgSnap] = await Promise.all([
+            db.ref("projects").orderByChild("userId").equalTo(req.params.id).once("value"),
+            db.ref("calls").orderByChild("userId").equalTo(req.params.id).once("value"),
+            db.ref(`creditLedger/${req.params.id}`).orderByKey().limitToLast(20).once("value"),
+            user.orgId ? db.ref(`orgs/${user.orgId}`).once("value") : null
+        ]);
+        const ledger = [];
+        ledgerSnap.forEach(child => {
+            ledger.push({ id: child.key, ...child.val() });
+        });
+
+        await recordAdminAction(req, 'view-user', req.params.id);
+        res.json({
+            ...adminUserSummary(req.params.id, user),
+            org: orgSnap?.val() ? { id: user.orgId, name: orgSnap.val().name, plan: orgSnap.val().plan } : null,
+            counts: {
+                projects: Object.keys(projectsSnap.val() || {}).length,
+                calls: Object.keys(callsSnap.val() || {}).length
+            },
+            ledger: ledger.reverse()
+        });
+    } catch (error) {
+        console.error('Admin get user error:', error);
+        res.status(500).json({ error: "Errore interno del server" });
+    }
+});
+
+// Projects or calls created by the user, newest first
+async function sendAdminUserRecords(collection, req, res) {
+    if (!db) return res.status(503).json({ error: "Database non configurato" });
+
+    try {
+        const userSnap = await db.ref(`users/${req.params.id}`).once("value");
+        if (!userSnap.val()) return res.status(404).json({ error: "Utente non trovato" });
+
+        const page = await listPage(collection, "userSortKey", req.params.id, {
+            limit: Number(req.query.limit) || LIST_DEFAULT_LIMIT,
+            cursor: req.query.cursor
+        });
+        if (page.error) return res.status(400).json({ error: page.error });
+
+        await recordAdminAction(req, `view-${collection}`, req.params.id);
+        res.json(page);
+    } catch (error) {
+        console.error('Admin user records error:', error);
+        res.status(500).json({ error: "Errore interno del server" });
+    }
+}
+
+app.get("/api/admin/users/:id/projects", verifyToken, requireAdmin, validateRequest(SCHEMAS.adminUserRecords),
+    (req, res) => sendAdminUserRecords("projects", req, res));
+
+app.get("/api/admin/users/:id/calls", verifyToken, requireAdmin, validateRequest(SCHEMAS.adminUserRecords),
+    (req, res) => sendAdminUserRecords("calls", req, res));
+
+app.get("/api/admin/users/:id/usage", verifyToken, requireAdmin, validateRequest(SCHEMAS.usage), async (req, res) => {
+    if (!db) return res.status(503).json({ error: "Database non configurato" });
+
+    const range = usageRange(req.query);
+    if (range.error) return res.status(400).json({ error: range.error });
+
+    try {
+        const entries = await loadUsageEntries(range, req.params.id);
+
+        await recordAdminAction(req, 'view-usage', req.params.id, { from: range.from, to: range.to });
+        res.json({
+            from: range.from,
+            to: range.to,
+            totals: summarizeUsage(entries),
+            byModel: summarizeUsage(entries, entry => `${entry.provider}:${entry.model}`),
+            byEndpoint: summarizeUsage(entries, entry => entry.endpoint),
+            byDay: summarizeUsage(entries, entry => entry.day)
+        });
+    } catch (error) {
+        console.error('Admin get user usage error:', error);
+        res.status(500).json({ error: "Errore interno del server" });
+    }
+});
+
+// Changes the plan; the credits of the current period follow the new plan,
+// keeping rollover and grants
+app.put("/api/admin/users/:id/plan", verifyToken, requireAdmin, validateRequest(SCHEMAS.adminSetPlan), async (req, res) => {
+    if (!db) return res.status(503).json({ error: "Database non configurato" });
+
+    try {
+        const changed = await changePlan(userCreditAccount(req.params.id), req.body.plan, { adminId: req.user.uid });
+        if (!changed) return res.status(404).json({ error: "Utente non trovato" });
+
+        await recordAdminAction(req, 'set-plan', req.params.id, {
+            plan: req.body.plan,
+            previousPlan: changed.previousPlan,
+            reason: req.body.reason || null
+        });
+
+        res.json(adminUserSummary(req.params.id, changed.holder));
+    } catch (error) {
+        console.error('Admin set plan error:', error);
+        res.status(500).json({ error: "Errore nell'aggiornamento del piano" });
+    }
+});
+
+// Studios reach paid plans through billing or here. The audit entry is filed
+// under the studio's owner.
+app.put("/api/admin/orgs/:id/plan", verifyToken, requireAdmin, validateRequest(SCHEMAS.adminSetPlan), async (req, res) => {
+    if (!db) return res.status(503).json({ error: "Database non configurato" });
+
+    try {
+        const changed = await changePlan(orgCreditAccount(req.params.id), req.body.plan, { adminId: req.user.uid });
+        if (!changed) return res.status(404).json({ error: "Organizzazione non trovata" });
+
+        const org = changed.holder;
+        await recordAdminAction(req, 'set-org-plan', org.ownerId || null, {
+            orgId: req.params.id,
+            plan: req.body.plan,
+            previousPlan: changed.previousPlan,
+            reason: req.body.reason || null
+        });
+
+        res.json({
+            id: req.params.id,
+            name: org.name,
+            plan: org.plan,
+            credits: {
+                used: org.creditsUsed || 0,
+                total: org.creditsTotal,
+                available: creditBalance(org),
+                period: org.creditsPeriod
+            }
+        });
+    } catch (error) {
+        console.error('Admin set org plan error:', error);
+        res.status(500).json({ error: "Errore nell'aggiornamento del piano" });
+    }
+});
+
+// Grants credits that stay until used; a negative amount revokes unused ones
+app.post("/api/admin/users/:id/credits", verifyToken, requireAdmin, validateRequest(SCHEMAS.adminGrantCredits), async (req, res) => {
+    if (!db) return res.status(503).json({ error: "Database non configurato" });
+
+    const { amount, reason } = req.body;
+    if (amount === 0) return sendValidationError(res, { field: 'amount', reason: 'non può essere 0' });
+
+    try {
+        let reset = null;
+        let available = null;
+        const { committed, snapshot } = await db.ref(`users/${req.params.id}`).transaction(user => {
+            if (!user) return user;
+            reset = creditPeriodUpdates(user);
+
+            const next = { ...user, ...reset };
+            available = creditBalance(next);
+            if (available + amount < 0) return; // abort, those credits are already spent
+            next.creditsTotal = (next.creditsTotal ?? getPlan(next.plan).monthlyCredits) + amount;
+            next.creditsGranted = (next.creditsGranted || 0) + amount;
+            return next;
+        });
+        const user = snapshot.val();
+        if (!user) return res.status(404).json({ error: "Utente non trovato" });
+        if (!committed) {
+            return res.status(409).json({ error: `Si possono revocare al massimo ${Math.max(available, 0)} crediti non utilizzati` });
+        }
+
+        const ledger = `creditLedger/${req.params.id}`;
+        if (reset) await logCreditReset(ledger, reset);
+        await addLedgerEntry(ledger, {
+            type: amount > 0 ? 'grant' : 'revoke',
+            amount: Math.abs(amount),
+            reason: reason.trim(),
+            balance: creditBalance(user),
+            adminId: req.user.uid
+        });
+        await recordAdminAction(req, amount > 0 ? 'grant-credits' : 'revoke-credits', req.params.id, {
+            amount,
+            reason: reason.trim(),
+            balance: creditBalance(user)
+        });
+
+        res.json(adminUserSummary(req.params.id, user));
+    } catch (error) {
+        console.error('Admin grant credits error:', error);
+        res.status(500).json({ error: "Errore nell'aggiornamento dei crediti" });
+    }
+});
+
+// Suspended users are refused by verifyToken on every authenticated route
+app.post("/api/admin/users/:id/suspend", verifyToken, requireAdmin, validateRequest(SCHEMAS.adminSuspend), async (req, res) => {
+    if (!db) return res.status(503).json({ error: "Database non configurato" });
+    if (req.params.id === req.user.uid) {
+        return res.status(400).json({ error: "Non puoi sospendere il tuo account" });
+    }
+
+    try {
+        const userSnap = await db.ref(`users/${req.params.id}`).once("value");
+        const user = userSnap.val();
+        if (!user) return res.status(404).json({ error: "Utente non trovato" });
+        if (user.suspended) return res.status(409).json({ error: "L'account è già sospeso" });
+
+        const suspended = { at: new Date().toISOString(), by: req.user.uid, reason: req.body.reason.trim() };
+        await db.ref(`users/${req.params.id}/suspended`).set(suspended);
+        forgetAccountState({ userId: req.params.id });
+        await recordAdminAction(req, 'suspend', req.params.id, { reason: suspended.reason });
+
+        res.json(adminUserSummary(req.params.id, { ...user, suspended }));
+    } catch (error) {
+        console.error('Admin suspend error:', error);
+        res.status(500).json({ error: "Errore nella sospensione dell'account" });
+    }
+});
+
+app.post("/api/admin/users/:id/unsuspend", verifyToken, requireAdmin, validateRequest(SCHEMAS.adminUnsuspend), async (req, res) => {
+    if (!db) return res.status(503).json({ error: "Database non configurato" });
+
+    try {
+        const userSnap = await db.ref(`users/${req.params.id}`).once("value");
+        const user = userSnap.val();
+        if (!user) return res.status(404).json({ error: "Utente non trovato" });
+        if (!user.suspended) return res.status(409).json({ error: "L'account non è sospeso" });
+
+        await db.ref(`users/${req.params.id}/suspended`).remove();
+        forgetAccountState({ userId: req.params.id });
+        await recordAdminAction(req, 'unsuspend', req.params.id, {
+            reason: req.body.reason?.trim() || null,
+            suspendedAt: user.suspended.at
+        });
+
+        res.json(adminUserSummary(req.params.id, { ...user, suspended: null }));
+    } catch (error) {
+        console.error('Admin unsuspend error:', error);
+        res.status(500).json({ error: "Errore nella riattivazione dell'account" });
+    }
+});
+
+// Audit log, newest first. ?before (an entry id) pages back; ?userId lists
+// the actions on one user.
+app.get("/api/admin/audit", verifyToken, requireAdmin, validateRequest(SCHEMAS.adminAudit), async (req, res) => {
+    if (!db) return res.status(503).json({ error: "Database non configurato" });
+
+    try {
+        const limit = Number(req.query.limit) || 50;
+        let query = db.ref("adminAudit");
+        if (req.query.userId) {
+            const prefix = `${req.query.userId}|`;
+            query = query.orderByChild("targetKey").startAt(prefix);
+            query = req.query.before ? query.endBefore(prefix + req.query.before) : query.endAt(`${prefix}\uf8ff`);
+        } else {
+            query = query.orderByKey();
+            if (req.query.before) query = query.endBefore(req.query.before);
+        }
+        const snapshot = await query.limitToLast(limit).once("value");
+
+        let entries = [];
+        snapshot.forEach(child => {
+            entries.push({ id: child.key, ...child.val() });
+        });
+        entries = entries
+            .filter(entry => !req.query.before || entry.id < req.query.before)
+            .sort((a, b) => (a.id < b.id ? 1 : -1))
+            .slice(0, limit);
+
+        res.json({ items: entries, nextBefore: entries.length === limit ? entries[entries.length - 1].id : null });
+    } catch (error) {
+        console.error('Admin audit log error:', error);
+        res.status(500).json({ error: "Errore interno del server" });
+    }
+});
+
+// --- PROJECTS ENDPOINTS ---
+
+// The user's personal projects, or the organization's with ?orgId, newest
+// first. Archived projects are listed only on request (?status=archived|all).
+// Returns them all as an array, or a page ({ items, nextCursor }) when limit
+// or cursor is given.
+app.get("/api/projects", verifyToken, validateRequest(SCHEMAS.listProjects), async (req, res) => {
+    if (!db) return res.status(503).json({ error: "Database non configurato" });
+    try {
+        const { orgId } = req.query;
+
+        if (orgId) {
+            const { org, status: errorStatus, error } = await loadOrg(req.user.uid, orgId);
+            if (!org) return res.status(errorStatus).json({ error });
+        }
+
+        const status = req.query.status || 'active';
+        const [field, prefix] = orgId ? ["orgSortKey", orgId] : ["userSortKey", req.user.uid];
+        const matches = project => (orgId || !project.orgId)
+            && (status === 'all' || (project.status || 'active') === status);
+        if (!isPageRequest(req)) return res.json(await listAll("projects", field, prefix, { matches }));
+
+        const page = await listPage("projects", field, prefix, {
+            limit: Number(req.query.limit) || LIST_DEFAULT_LIMIT,
+            cursor: req.query.cursor,
+            matches
+        });
+        if (page.error) return res.status(400).json({ error: page.error });
+
+        res.json(page);
+    } catch (error) {
+        console.error('Get projects error:', error);
+        res.status(500).json({ error: "Errore interno del server" });
+    }
+});
+
+app.post("/api/projects", verifyToken, validateRequest(SCHEMAS.createProject), async (req, res) => {
+    if (!db) return res.status(503).json({ error: "Database non configurato" });
+
+    const { updates, error } = validateProject(req.body);
+    if (error) return res.status(400).json({ error });
+
+    try {
+        const denied = await checkOrgWrite(req.user.uid, req.body.orgId);
+        if (denied) return res.status(denied.status).json({ error: denied.error });
+
+        const newProject = await createRecord("projects", {
+            description: '',
+            color: '#3B82F6',
+            client: '',
+            siteAddress: '',
+            startDate: null,
+            endDate: null,
+            status: 'active',
+            ...updates,
+            orgId: req.body.orgId || null,
+            userId: req.user.uid,
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        });
+
+        res.status(201).json(newProject);
+    } catch (error) {
+        console.error('Create project error:', error);
+        res.status(500).json({ error: "Errore nella creazione del progetto" });
+    }
+});
+
+// Returns the project with the user's role on it, its calls (newest first)
+// and aggregate stats
+app.get("/api/projects/:id", verifyToken, async (req, res) => {
+    if (!db) return res.status(503).json({ error: "Database non configurato" });
+
+    try {
+        const { project, role, status, error } = await loadProject(req.user.uid, req.params.id);
+        if (!project) return res.status(status).json({ error });
+
+        const [projectCalls, actionItems] = await Promise.all([
+            loadProjectCalls(req.params.id),
+            loadActionItems(req.params.id)
+        ]);
+        const calls = projectCalls.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+        const stats = {
+            ...projectStats(calls),
+            openActionItems: actionItems.filter(item => item.status === 'open').length,
+            closedActionItems: actionItems.filter(item => item.status === 'closed').length
+        };
+        res.json({ ...project, role, calls, stats });
+    } catch (error) {
+        console.error('Get project error:', error);
+        res.status(500).json({ error: "Errore interno del server" });
+    }
+});
+
+app.put("/api/projects/:id", verifyToken, validateRequest(SCHEMAS.updateProject), async (req, res) => {
+    if (!db) return res.status(503).json({ error: "Database non configurato" });
+
+    try {
+        const { project, status, error } = await loadProject(req.user.uid, req.params.id, 'write');
+        if (!project) return res.status(status).json({ error });
+
+        const validation = validateProject(req.body, project);
+        if (validation.error) return res.status(400).json({ error: validation.error });
+
+        const updates = { ...validation.updates, updatedAt: new Date().toISOString() };
+        await db.ref(`projects/${req.params.id}`).update(updates);
+        res.json({ ...project, ...updates });
+    } catch (error) {
+        console.error('Update project error:', error);
+        res.status(500).json({ error: "Errore nell'aggiornamento del progetto" });
+    }
+});
+
+async function setProjectStatus(status, req, res) {
+    if (!db) return res.status(503).json({ error: "Database non configurato" });
+
+    try {
+        const { project, status: errorStatus, error } = await loadProject(req.user.uid, req.params.id, 'write');
+        if (!project) return res.status(errorStatus).json({ error });
+
+        const updates = { status, updatedAt: new Date().toISOString() };
+        await db.ref(`projects/${req.params.id}`).update(updates);
+        res.json({ ...project, ...updates });
+    } catch (error) {
+        console.error('Set project status error:', error);
+        res.status(500).json({ error: "Errore nell'aggiornamento del progetto" });
+    }
+}
+
+app.post("/api/projects/:id/archive", verifyToken, (req, res) => setProjectStatus('archived', req, res));
+
+app.post("/api/projects/:id/unarchive", verifyToken, (req, res) => setProjectStatus('active', req, res));
+
+// A project with calls is deleted only with ?cascade=true, which removes
+// the calls and their report versions and photos in the same update.
+app.delete("/api/projects/:id", verifyToken, validateRequest(SCHEMAS.deleteProject), async (req, res) => {
+    if (!db) return res.status(503).json({ error: "Database non configurato" });
+
+    try {
+        const { project, status, error } = await loadProject(req.user.uid, req.params.id, 'manage');
+        if (!project) return res.status(status).json({ error });
+
+        const calls = await loadProjectCalls(req.params.id);
+        if (calls.length > 0 && req.query.cascade !== 'true') {
+            return res.status(409).json({
+                error: "Il progetto contiene delle chiamate. Usa cascade=true per eliminarle insieme al progetto",
+                calls: calls.length
+            });
+        }
+
+        const removals = {
+            [`projects/${req.params.id}`]: null,
+            [`actionItems/${req.params.id}`]: null,
+            [`projectDigests/${req.params.id}`]: null
+        };
+        for (const call of calls) {
+            await removeCallPhotoFiles(call.id);
+            Object.assign(removals, await callRemovalUpdates(call));
+        }
+
+        await db.ref().update(removals);
+        res.json({ success: true, message: "Progetto eliminato", deletedCalls: calls.length });
+    } catch (error) {
+        console.error('Delete project error:', error);
+        res.status(500).json({ error: "Errore nell'eliminazione del progetto" });
+    }
+});
+
+// Moves a project and its calls into an organization, or back to the user's
+// personal space with orgId null. Calls taken out of an organization pass to
+// the user as well.
+app.post("/api/projects/:id/transfer", verifyToken, validateRequest(SCHEMAS.transferProject), async (req, res) => {
+    if (!db) return res.status(503).json({ error: "Database non configurato" });
+
+    try {
+        const { project, status, error } = await loadProject(req.user.uid, req.params.id, 'manage');
+        if (!project) return res.status(status).json({ error });
+
+        const orgId = req.body.orgId;
+        if ((project.orgId || null) === orgId) {
+            return res.status(400).json({ error: "Il progetto si trova già in questa posizione" });
+        }
+        const denied = await checkOrgWrite(req.user.uid, orgId);
+        if (denied) return res.status(denied.status).json({ error: denied.error });
+
+        const updates = {};
+        const move = (collection, record) => {
+            const moved = { ...record, orgId, userId: orgId ? record.userId : req.user.uid };
+            for (const [field, value] of Object.entries({ orgId, userId: moved.userId, ...sortKeys(collection, moved) })) {
+                updates[`${collection}/${record.id}/${field}`] = value;
+            }
+            return moved;
+        };
+
+        const moved = move("projects", project);
+        const calls = await loadProjectCalls(req.params.id);
+        for (const call of calls) Object.assign(updates, await searchIndexUpdates(move("calls", call), call));
+        updates[`projects/${req.params.id}/updatedAt`] = new Date().toISOString();
+
+        await db.ref().update(updates);
+        res.json({ ...moved, updatedAt: updates[`projects/${req.params.id}/updatedAt`], movedCalls: calls.length });
+    } catch (error) {
+        console.error('Transfer project error:', error);
+        res.status(500).json({ error: "Errore nello spostamento del progetto" });
+    }
+});
+
+// Chronological progress overview of a project for client updates, as last
+// built. stale tells whether a call of the project changed since then.
+app.get("/api/projects/:id/digest", verifyToken, async (req, res) => {
+    if (!db) return res.status(503).json({ error: "Database non configurato" });
+
+    try {
+        const { project, status, error } = await loadProject(req.user.uid, req.params.id);
+        if (!project) return res.status(status).json({ error });
+
+        const [cachedSnap, calls] = await Promise.all([
+            db.ref(`projectDigests/${req.params.id}`).once("value"),
+            loadDigestCalls(req.params.id)
+        ]);
+        const cached = cachedSnap.val();
+        if (!cached) return res.status(404).json({ error: "Riepilogo non ancora generato" });
+        res.json({ success: true, digest: cached, cached: true, stale: cached.signature !== digestSignature(calls) });
+    } catch (error) {
+        console.error('Get project digest error:', error);
+        res.status(500).json({ error: "Errore interno del server" });
+    }
+});
+
+// Builds the digest, costing one credit. While no call of the project changed
+// the cached one is returned instead, unless refresh is true.
+app.post("/api/projects/:id/digest", verifyToken, validateRequest(SCHEMAS.projectDigest), async (req, res) => {
+    if (!db) return res.status(503).json({ error: "Database non configurato" });
+
+    try {
+        const { project, status, error } = await loadProject(req.user.uid, req.params.id, 'write');
+        if (!project) return res.status(status).json({ error });
+
+        if (req.body.refresh !== true) {
+            const [cachedSnap, calls] = await Promise.all([
+                db.ref(`projectDigests/${req.params.id}`).once("value"),
+                loadDigestCalls(req.params.id)
+            ]);
+            const cached = cachedSnap.val();
+            if (cached && cached.signature === digestSignature(calls)) {
+                return res.json({ success: true, digest: cached, cached: true });
+            }
+        }
+    } catch (error) {
+        console.error('Build project digest error:', error);
+        return res.status(500).json({ error: "Errore interno del server" });
+    }
+
+    return handleAiTask('digest', req, res, { projectId: req.params.id });
+});
+
+// --- ACTION ITEM ENDPOINTS ---
+
+app.get("/api/projects/:id/action-items", verifyToken, validateRequest(SCHEMAS.listActionItems), async (req, res) => {
+    if (!db) return res.status(503).json({ error: "Database non configurato" });
+
+    try {
+        const { project, status, error } = await loadProject(req.user.uid, req.params.id);
+        if (!project) return res.status(status).json({ error });
+
+        const filter = req.query.status || 'open';
+        res.json(await loadActionItems(req.params.id, filter === 'all' ? null : filter));
+    } catch (error) {
+        console.error('Get action items error:', error);
+        res.status(500).json({ error: "Errore interno del server" });
+    }
+});
+
+app.post("/api/projects/:id/action-items", verifyToken, validateRequest(SCHEMAS.createActionItem), async (req, res) => {
+    if (!db) return res.status(503).json({ error: "Database non configurato" });
+
+    try {
+        const { project, status, error } = await loadProject(req.user.uid, req.params.id, 'write');
+        if (!project) return res.status(status).json({ error });
+
+        const callError = await checkItemCall(req.params.id, req.body.callId);
+        if (callError) return res.status(400).json({ error: callError, field: 'callId' });
+
+        const item = newActionItem(req.params.id, req.user.uid, req.body, req.body.callId || null);
+        await db.ref(`actionItems/${req.params.id}/${item.id}`).set(item);
+        res.status(201).json(item);
+    } catch (error) {
+        console.error('Create action item error:', error);
+        res.status(500).json({ error: "Errore nella creazione dell'azione" });
+    }
+});
+
+// Closing an item records the call it was closed in (callId), reopening
+// clears it
+app.put("/api/projects/:id/action-items/:itemId", verifyToken, validateRequest(SCHEMAS.updateActionItem), async (req, res) => {
+    if (!db) return res.status(503).json({ error: "Database non configurato" });
+
+    try {
+        const { project, status, error } = await loadProject(req.user.uid, req.params.id, 'write');
+        if (!project) return res.status(status).json({ error });
+
+        const itemRef = db.ref(`actionItems/${req.params.id}/${req.params.itemId}`);
+        const item = (await itemRef.once("value")).val();
+        if (!item) return res.status(404).json({ error: "Azione non trovata" });
+
+        const callError = await checkItemCall(req.params.id, req.body.callId);
+        if (callError) return res.status(400).json({ error: callError, field: 'callId' });
+
+        const now = new Date().toISOString();
+        const updates = { updatedAt: now };
+        for (const field of ACTION_ITEM_FIELDS) {
+            if (req.body[field] === undefined) continue;
+            updates[field] = typeof req.body[field] === 'string' ? req.body[field].trim() || null : req.body[field];
+        }
+        if (updates.description === null) return res.status(400).json({ error: "La descrizione non può essere vuota", field: 'description' });
+
+        const nextStatus = req.body.status || item.status;
+        if (nextStatus === 'closed') {
+            if (item.status !== 'closed') updates.closedAt = now;
+            if (req.body.callId !== undefined || item.status !== 'closed') updates.closedInCallId = req.body.callId || null;
+        } else if (item.status === 'closed') {
+            Object.assign(updates, { closedAt: null, closedInCallId: null });
+        }
+        updates.status = nextStatus;
+
+        await itemRef.update(updates);
+        res.json({ ...item, ...updates });
+    } catch (error) {
+        console.error('Update action item error:', error);
+        res.status(500).json({ error: "Errore nell'aggiornamento dell'azione" });
+    }
+});
+
+app.delete("/api/projects/:id/action-items/:itemId", verifyToken, async (req, res) => {
+    if (!db) return res.status(503).json({ error: "Database non configurato" });
+
+    try {
+        const { project, status, error } = await loadProject(req.user.uid, req.params.id, 'write');
+        if (!project) return res.status(status).json({ error });
+
+        const itemRef = db.ref(`actionItems/${req.params.id}/${req.params.itemId}`);
+        if (!(await itemRef.once("value")).val()) return res.status(404).json({ error: "Azione non trovata" });
+
+        await itemRef.remove();
+        res.json({ success: true, message: "Azione eliminata" });
+    } catch (error) {
+        console.error('Delete action item error:', error);
+        res.status(500).json({ error: "Errore nell'eliminazione dell'azione" });
+    }
+});
+
+// Adds the action items of a call's structured extraction to its project.
+// Items already imported from the same call are skipped.
+app.post("/api/calls/:id/action-items/import", verifyToken, validateRequest(SCHEMAS.importActionItems), async (req, res) => {
+    if (!db) return res.status(503).json({ error: "Database non configurato" });
+
+    try {
+        const { call, status, error } = await loadCall(req.user.uid, req.params.id, 'write');
+        if (!call) return res.status(status).json({ error });
+        if (!call.extraction) {
+            return res.status(409).json({ error: "La chiamata non ha dati estratti: esegui prima l'estrazione" });
+        }
+
+        const existing = new Set((await loadActionItems(call.projectId))
+            .filter(item => item.raisedInCallId === call.id)
+            .map(item => item.description));
+
+        const updates = {};
+        const created = [];
+        for (const action of call.extraction.actionItems || []) {
+            if (existing.has(action.description)) continue;
+            const item = newActionItem(call.projectId, req.user.uid, action, call.id);
+            updates[`actionItems/${call.projectId}/${item.id}`] = item;
+            created.push(item);
+        }
+
+        if (created.length > 0) await db.ref().update(updates);
+        res.status(created.length > 0 ? 201 : 200).json({ imported: created.length, items: created });
+    } catch (error) {
+        console.error('Import action items error:', error);
+        res.status(500).json({ error: "Errore nell'importazione delle azioni" });
+    }
+});
+
+// --- CALLS ENDPOINTS ---
+
+// The user's calls, newest first, optionally within a project, a status, a
+// creation date range (from/to, YYYY-MM-DD) or an area. Returns them all as
+// an array, or a page ({ items, nextCursor }) when limit or cursor is given.
+app.get("/api/calls", verifyToken, validateRequest(SCHEMAS.listCalls), async (req, res) => {
+    if (!db) return res.status(503).json({ error: "Database non configurato" });
+
+    try {
+        const { projectId, orgId, status, area, from, to, cursor } = req.query;
+
+        if (projectId) {
+            const { project, status: errorStatus, error } = await loadProject(req.user.uid, projectId);
+            if (!project) return res.status(errorStatus).json({ error });
+        } else if (orgId) {
+            const { org, status: errorStatus, error } = await loadOrg(req.user.uid, orgId);
+            if (!org) return res.status(errorStatus).json({ error });
+        }
+
+        // Without a project or organization, the user's personal calls
+        const [field, prefix] = projectId ? ["projectSortKey", projectId]
+            : orgId ? ["orgSortKey", orgId]
+                : ["userSortKey", req.user.uid];
+        const matches = call => (projectId || orgId || !call.orgId)
+            && (!status || call.status === status)
+            && (!area || callHasArea(call, area));
+        if (!isPageRequest(req)) return res.json(await listAll("calls", field, prefix, { from, to, matches }));
+
+        const page = await listPage("calls", field, prefix, {
+            limit: Number(req.query.limit) || LIST_DEFAULT_LIMIT,
+            cursor,
+            from,
+            to,
+            matches
+        });
+        if (page.error) return res.status(400).json({ error: page.error });
+
+        res.json(page);
+    } catch (error) {
+        console.error('Get calls error:', error);
+        res.status(500).json({ error: "Errore interno del server" });
+    }
+});
+
+// Full-text search over call titles, summaries, transcripts and reports.
+// Every word of q must match the start of a word in the call. Searches the
+// personal calls, or those of the organization given by orgId or projectId.
+app.get("/api/calls/search", verifyToken, validateRequest(SCHEMAS.searchCalls), async (req, res) => {
+    if (!db) return res.status(503).json({ error: "Database non configurato" });
+
+    try {
+        const { projectId } = req.query;
+        let { orgId } = req.query;
+
+        if (projectId) {
+            const { project, status: errorStatus, error } = await loadProject(req.user.uid, projectId);
+            if (!project) return res.status(errorStatus).json({ error });
+            orgId = project.orgId;
+        } else if (orgId) {
+            const { org, status: errorStatus, error } = await loadOrg(req.user.uid, orgId);
+            if (!org) return res.status(errorStatus).json({ error });
+        }
+
+        const { terms, results } = await searchCalls(req.user.uid, req.query.q, {
+            orgId,
+            projectId,
+            limit: Number(req.query.limit) || SEARCH_DEFAULT_LIMIT
+        });
+        if (terms.length === 0) {
+            return res.status(400).json({ error: "La ricerca deve contenere almeno una parola di 3 lettere", field: 'q' });
+        }
+
+        res.json({ query: req.query.q, terms, results });
+    } catch (error) {
+        console.error('Search calls error:', error);
+        res.status(500).json({ error: "Errore interno del server" });
+    }
+});
+
+app.post("/api/calls", verifyToken, validateRequest(SCHEMAS.createCall), async (req, res) => {
+    if (!db) return res.status(503).json({ error: "Database non configurato" });
+
+    try {
+        const { title, projectId, transcript, summary, reportHtml, areas, images, roomTitle } = req.body;
+
+        const { project, status, error } = await loadProject(req.user.uid, projectId, 'write');
+        if (!project) return res.status(status).json({ error });
+
+        const newCall = await createRecord("calls", {
+            title: title || roomTitle || 'Nuova chiamata',
+            roomTitle: roomTitle || title,
+            projectId,
+            transcript: transcript || '',
+            summary: summary || '',
+            reportHtml: referenceReportPhotos(reportHtml),
+            areas: areas || [],
+            images: images || [],
+            status: transcript ? 'completed' : 'draft',
+            orgId: project.orgId || null,
+            userId: req.user.uid,
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        });
+
+        await reindexCall(newCall.id);
+        if (hasContent(newCall.transcript) && !hasContent(summary)) {
+            await queueCallSummary(req.user.uid, newCall.id);
+        }
+
+        res.status(201).json(newCall);
+    } catch (error) {
+        console.error('Create call error:', error);
+        res.status(500).json({ error: "Errore nella creazione della chiamata" });
+    }
+});
+
+app.get("/api/calls/:id", verifyToken, async (req, res) => {
+    if (!db) return res.status(503).json({ error: "Database non configurato" });
+
+    try {
+        const { call, status, error } = await loadCall(req.user.uid, req.params.id, 'read');
+        if (!call) return res.status(status).json({ error });
+
+        res.json(call);
+    } catch (error) {
+        console.error('Get call error:', error);
+        res.status(500).json({ error: "Errore interno del server" });
+    }
+});
+
+app.put("/api/calls/:id", verifyToken, validateRequest(SCHEMAS.updateCall), async (req, res) => {
+    if (!db) return res.status(503).json({ error: "Database non configurato" });
+
+    try {
+        const { call, status, error } = await loadCall(req.user.uid, req.params.id, 'write');
+        if (!call) return res.status(status).json({ error });
+
+        const allowedFields = ['title', 'roomTitle', 'transcript', 'summary', 'reportHtml', 'status'];
+        const updates = { updatedAt: new Date().toISOString() };
+
+        for (const field of allowedFields) {
+            if (req.body[field] !== undefined) {
+                updates[field] = req.body[field];
+            }
+        }
+
+        await db.ref(`calls/${req.params.id}`).update(updates);
+
+        // Manual edits to the report are versioned like AI changes
+        if (typeof updates.reportHtml === 'string' && updates.reportHtml !== (call.reportHtml || '')) {
+            await saveReportVersion(req.params.id, req.user.uid, { html: updates.reportHtml, source: 'edit' });
+        } else {
+            await reindexCall(req.params.id);
+        }
+
+        // A new transcript gets a new summary unless the client sent one
+        if (typeof updates.transcript === 'string' && updates.transcript !== (call.transcript || '')
+            && hasContent(updates.transcript) && updates.summary === undefined) {
+            await queueCallSummary(req.user.uid, req.params.id);
+        }
+
+        res.json({ success: true, updated: Object.keys(updates) });
+    } catch (error) {
+        console.error('Update call error:', error);
+        res.status(500).json({ error: "Errore nell'aggiornamento della chiamata" });
+    }
+});
+
+app.delete("/api/calls/:id", verifyToken, async (req, res) => {
+    if (!db) return res.status(503).json({ error: "Database non configurato" });
+
+    try {
+        const { call, status, error } = await loadCall(req.user.uid, req.params.id, 'write');
+        if (!call) return res.status(status).json({ error });
+
+        await removeCallPhotoFiles(call.id);
+        await db.ref().update(await callRemovalUpdates(call));
+        res.json({ success: true, message: "Chiamata eliminata" });
+    } catch (error) {
+        console.error('Delete call error:', error);
+        res.status(500).json({ error: "Errore nell'eliminazione della chiamata" });
+    }
+});
+
+// --- CALL PHOTO ENDPOINTS ---
+
+// Adds up to PHOTO_UPLOAD_MAX_FILES photos, uploaded to storage first
+// (uploadIds, see POST /api/uploads) or sent as multipart files in "images".
+// The caption and area fields apply to every photo, or per photo when
+// repeated.
+app.post("/api/calls/:id/images", verifyToken, receivePhotoUpload, validateRequest(SCHEMAS.uploadPhotos), async (req, res) => {
+    if (!db) return res.status(503).json({ error: "Database non configurato" });
+    if (!storage) return res.status(503).json({ error: "Archiviazione file non configurata" });
+    const uploadIds = req.body.uploadIds || [];
+    const files = req.files || [];
+    if (files.length + uploadIds.length === 0) {
+        return res.status(400).json({ error: "Nessuna immagine ricevuta" });
+    }
+    if (files.length + uploadIds.length > PHOTO_UPLOAD_MAX_FILES) {
+        return res.status(400).json({ error: `Massimo ${PHOTO_UPLOAD_MAX_FILES} immagini per richiesta` });
+    }
+
+    try {
+        const { call, status, error } = await loadCall(req.user.uid, req.params.id, 'write');
+        if (!call) return res.status(status).json({ error });
+
+        const sources = files.map(file => ({ name: file.originalname, read: async () => file.buffer }));
+        for (const uploadId of uploadIds) {
+            const { upload, status, error } = await loadUpload(req.user.uid, uploadId, 'photo');
+            if (!upload) return res.status(status).json({ error, uploadId });
+            sources.push({ name: upload.name, read: () => storage.read(upload.path), upload });
+        }
+
+        const fieldAt = (value, index) => (Array.isArray(value) ? value[index] : value);
+        const created = [];
+        for (const [index, source] of sources.entries()) {
+            let processed;
+            try {
+                processed = await processPhoto(await source.read());
+            } catch (error) {
+                console.error('Photo processing error:', error.message);
+                return res.status(422).json({ error: `Immagine non leggibile: ${source.name || `n. ${index + 1}`}`, uploaded: created });
+            }
+
+            const { data, ...details } = processed;
+            const imageId = db.ref(`callImages/${req.params.id}`).push().key;
+            const image = {
+                id: imageId,
+                callId: req.params.id,
+                caption: (fieldAt(req.body.caption, index) || '').trim(),
+                area: (fieldAt(req.body.area, index) || '').trim() || null,
+                originalName: source.name || null,
+                ...details,
+                storagePath: photoStoragePath(req.params.id, imageId),
+                userId: req.user.uid,
+                uploadedAt: new Date().toISOString()
+            };
+
+            await storage.write(image.storagePath, data, 'image/jpeg');
+            await db.ref(`callImages/${req.params.id}/${image.id}`).set(image);
+            if (source.upload) await removeUpload(source.upload);
+            created.push(image);
+        }
+
+        res.status(201).json(created);
+    } catch (error) {
+        console.error('Upload photos error:', error);
+        res.status(500).json({ error: "Errore nel caricamento delle immagini" });
+    }
+});
+
+app.get("/api/calls/:id/images", verifyToken, async (req, res) => {
+    if (!db) return res.status(503).json({ error: "Database non configurato" });
+
+    try {
+        const { call, status, error } = await loadCall(req.user.uid, req.params.id, 'read');
+        if (!call) return res.status(status).json({ error });
+
+        const imagesSnap = await db.ref(`callImages/${req.params.id}`).once("value");
+        const images = imagesSnap.val() ? Object.values(imagesSnap.val()) : [];
+        res.json(images.sort((a, b) => a.uploadedAt.localeCompare(b.uploadedAt)));
+    } catch (error) {
+        console.error('Get photos error:', error);
+        res.status(500).json({ error: "Errore interno del server" });
+    }
+});
+
+app.get("/api/calls/:id/images/:imageId", verifyToken, async (req, res) => {
+    if (!db) return res.status(503).json({ error: "Database non configurato" });
+
+    try {
+        const { call, status, error } = await loadCall(req.user.uid, req.params.id, 'read');
+        if (!call) return res.status(status).json({ error });
+
+        const imageSnap = await db.ref(`callImages/${req.params.id}/${req.params.imageId}`).once("value");
+        const image = imageSnap.val() && await readPhotoData(req.params.id, imageSnap.val());
+        if (!image) return res.status(404).json({ error: "Immagine non trovata" });
+
+        res.set({ 'Content-Type': 'image/jpeg', 'Content-Length': image.length, 'Cache-Control': 'private, max-age=86400' });
+        res.end(image);
+    } catch (error) {
+        console.error('Get photo error:', error);
+        res.status(500).json({ error: "Errore interno del server" });
+    }
+});
+
+app.put("/api/calls/:id/images/:imageId", verifyToken, validateRequest(SCHEMAS.updatePhoto), async (req, res) => {
+    if (!db) return res.status(503).json({ error: "Database non configurato" });
+
+    try {
+        const { call, status, error } = await loadCall(req.user.uid, req.params.id, 'write');
+        if (!call) return res.status(status).json({ error });
+
+        const imageRef = db.ref(`callImages/${req.params.id}/${req.params.imageId}`);
+        const imageSnap = await imageRef.once("value");
+        if (!imageSnap.val()) return res.status(404).json({ error: "Immagine non trovata" });
+
+        const updates = {};
+        if (typeof req.body.caption === 'string') updates.caption = req.body.caption.trim();
+        if (req.body.area !== undefined) updates.area = req.body.area ? String(req.body.area).trim() : null;
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({ error: "Nessun campo valido da aggiornare" });
+        }
+
+        await imageRef.update(updates);
+        res.json({ success: true, updated: Object.keys(updates) });
+    } catch (error) {
+        console.error('Update photo error:', error);
+        res.status(500).json({ error: "Errore interno del server" });
+    }
+});
+
+app.delete("/api/calls/:id/images/:imageId", verifyToken, async (req, res) => {
+    if (!db) return res.status(503).json({ error: "Database non configurato" });
+
+    try {
+        const { call, status, error } = await loadCall(req.user.uid, req.params.id, 'write');
+        if (!call) return res.status(status).json({ error });
+
+        const imageSnap = await db.ref(`callImages/${req.params.id}/${req.params.imageId}`).once("value");
+        if (!imageSnap.val()) return res.status(404).json({ error: "Immagine non trovata" });
+
+        await db.ref().update({
+            [`callImages/${req.params.id}/${req.params.imageId}`]: null,
+            [`callImageData/${req.params.id}/${req.params.imageId}`]: null
+        });
+        if (imageSnap.val().storagePath && storage) await storage.remove(imageSnap.val().storagePath);
+
+        // The current report stops showing it; older versions drop it when
+        // exported or shared (inlineReportPhotos)
+        const html = removeReportPhotos(call.reportHtml, [req.params.imageId]);
+        const version = html !== call.reportHtml
+            ? await saveReportVersion(req.params.id, req.user.uid, { html, source: 'photos' })
+            : null;
+        res.json({ success: true, message: "Immagine eliminata", reportVersion: version });
+    } catch (error) {
+        console.error('Delete photo error:', error);
+        res.status(500).json({ error: "Errore nell'eliminazione dell'immagine" });
+    }
+});
+
+// Fills the placeholders of the current report with photos uploaded after it
+// was generated, saving the result as a new version
+app.post("/api/calls/:id/report/photos", verifyToken, async (req, res) => {
+    if (!db) return res.status(503).json({ error: "Database non configurato" });
+
+    try {
+        const { call, status, error } = await loadCall(req.user.uid, req.params.id, 'write');
+        if (!call) return res.status(status).json({ error });
+        if (!call.reportHtml) return res.status(400).json({ error: "Nessun report da aggiornare" });
+
+        const html = await placeCallPhotos(req.params.id, call.reportHtml);
+        if (html === call.reportHtml) {
+            return res.json({ success: true, changed: false, version: call.reportVersion || null });
+        }
+
+        const version = await saveReportVersion(req.params.id, req.user.uid, { html, source: 'photos' });
+        res.json({ success: true, changed: true, version });
+    } catch (error) {
+        console.error('Place photos error:', error);
+        res.status(500).json({ error: "Errore nell'inserimento delle foto" });
+    }
 });
 
-// --- USER ENDPOINTS ---
+// --- REPORT VERSION ENDPOINTS ---
 
-app.get("/api/users/:id", verifyToken, async (req, res) => {
+app.get("/api/calls/:id/report/versions", verifyToken, async (req, res) => {
     if (!db) return res.status(503).json({ error: "Database non configurato" });
-    if (req.params.id !== req.user.uid) {
-        return res.status(403).json({ error: "Accesso negato" });
-    }
 
     try {
-        const snapshot = await db.ref(`users/${req.params.id}`).once("value");
-        const user = snapshot.val();
-        if (!user) return res.status(404).json({ error: "Utente non trovato" });
-        res.json(user);
+        const { call, status, error } = await loadCall(req.user.uid, req.params.id, 'read');
+        if (!call) return res.status(status).json({ error });
+
+        const versionsSnap = await db.ref(`reportVersions/${req.params.id}`).once("value");
+        const versions = versionsSnap.val() ? Object.values(versionsSnap.val()) : [];
+        res.json({
+            currentVersion: call.reportVersion || null,
+            versions: versions.filter(Boolean).sort((a, b) => b.version - a.version)
+        });
     } catch (error) {
-        console.error('Get user error:', error);
+        console.error('Get report versions error:', error);
         res.status(500).json({ error: "Errore interno del server" });
     }
 });
 
-app.put("/api/users/:id", verifyToken, async (req, res) => {
+app.get("/api/calls/:id/report/versions/:version", verifyToken, validateRequest(SCHEMAS.reportVersion), async (req, res) => {
     if (!db) return res.status(503).json({ error: "Database non configurato" });
-    if (req.params.id !== req.user.uid) {
-        return res.status(403).json({ error: "Accesso negato" });
-    }
 
     try {
-        const allowedFields = ['name', 'avatar'];
-        const updates = {};
-        for (const field of allowedFields) {
-            if (req.body[field] !== undefined) {
-                updates[field] = req.body[field];
-            }
-        }
+        const { call, status, error } = await loadCall(req.user.uid, req.params.id, 'read');
+        if (!call) return res.status(status).json({ error });
 
-        if (Object.keys(updates).length === 0) {
-            return res.status(400).json({ error: "Nessun campo valido da aggiornare" });
-        }
+        const [metaSnap, htmlSnap] = await Promise.all([
+            db.ref(`reportVersions/${req.params.id}/${req.params.version}`).once("value"),
+            db.ref(`reportVersionContent/${req.params.id}/${req.params.version}`).once("value")
+        ]);
+        if (!metaSnap.val()) return res.status(404).json({ error: "Versione non trovata" });
 
-        await db.ref(`users/${req.params.id}`).update(updates);
-        res.json({ success: true, updated: Object.keys(updates) });
+        res.json({ ...metaSnap.val(), html: htmlSnap.val() || '' });
     } catch (error) {
-        console.error('Update user error:', error);
+        console.error('Get report version error:', error);
         res.status(500).json({ error: "Errore interno del server" });
     }
 });
 
-app.get("/api/users/:id/stats", verifyToken, async (req, res) => {
+app.get("/api/calls/:id/report/diff", verifyToken, validateRequest(SCHEMAS.reportDiff), async (req, res) => {
     if (!db) return res.status(503).json({ error: "Database non configurato" });
-    if (req.params.id !== req.user.uid) {
-        return res.status(403).json({ error: "Accesso negato" });
-    }
 
     try {
-        const [userSnap, projectsSnap, callsSnap] = await Promise.all([
-            db.ref(`users/${req.user.uid}`).once("value"),
-            db.ref("projects").orderByChild("userId").equalTo(req.user.uid).once("value"),
-            db.ref("calls").orderByChild("userId").equalTo(req.user.uid).once("value")
+        const { call, status, error } = await loadCall(req.user.uid, req.params.id, 'read');
+        if (!call) return res.status(status).json({ error });
+
+        // Defaults to comparing the current version with the previous one
+        const to = parseInt(req.query.to, 10) || call.reportVersion;
+        const from = parseInt(req.query.from, 10) || to - 1;
+        if (!from || !to || from < 1) {
+            return res.status(400).json({ error: "Servono almeno due versioni da confrontare" });
+        }
+
+        const [fromSnap, toSnap] = await Promise.all([
+            db.ref(`reportVersionContent/${req.params.id}/${from}`).once("value"),
+            db.ref(`reportVersionContent/${req.params.id}/${to}`).once("value")
         ]);
+        if (fromSnap.val() === null || toSnap.val() === null) {
+            return res.status(404).json({ error: "Versione non trovata" });
+        }
 
-        const user = userSnap.val() || {};
-        const projects = projectsSnap.val() ? Object.values(projectsSnap.val()) : [];
-        const calls = callsSnap.val() ? Object.values(callsSnap.val()) : [];
+        const changes = diffLines(normalizeHtmlForDiff(fromSnap.val()), normalizeHtmlForDiff(toSnap.val()))
+            .map(part => ({
+                type: part.added ? 'added' : part.removed ? 'removed' : 'unchanged',
+                lines: part.count,
+                value: part.value
+            }));
 
         res.json({
-            credits: {
-                used: user.creditsUsed || 0,
-                total: user.creditsTotal || 10,
-                available: (user.creditsTotal || 10) - (user.creditsUsed || 0)
-            },
-            counts: {
-                projects: projects.length,
-                calls: calls.length
+            from,
+            to,
+            stats: {
+                added: changes.filter(c => c.type === 'added').reduce((sum, c) => sum + c.lines, 0),
+                removed: changes.filter(c => c.type === 'removed').reduce((sum, c) => sum + c.lines, 0)
             },
-            plan: user.plan || 'Free',
-            memberSince: user.createdAt
+            changes
         });
     } catch (error) {
-        console.error('Get stats error:', error);
+        console.error('Diff report versions error:', error);
         res.status(500).json({ error: "Errore interno del server" });
     }
 });
 
-// --- PROJECTS ENDPOINTS ---
-
-app.get("/api/projects", verifyToken, async (req, res) => {
+app.post("/api/calls/:id/report/versions/:version/restore", verifyToken, validateRequest(SCHEMAS.reportVersion), async (req, res) => {
     if (!db) return res.status(503).json({ error: "Database non configurato" });
+
     try {
-        const snapshot = await db.ref("projects")
-            .orderByChild("userId")
-            .equalTo(req.user.uid)
-            .once("value");
+        const { call, status, error } = await loadCall(req.user.uid, req.params.id, 'write');
+        if (!call) return res.status(status).json({ error });
 
-        const projects = snapshot.val() ? Object.values(snapshot.val()) : [];
-        res.json(projects.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt)));
+        const restoredFrom = parseInt(req.params.version, 10);
+        const htmlSnap = await db.ref(`reportVersionContent/${req.params.id}/${restoredFrom}`).once("value");
+        if (htmlSnap.val() === null) return res.status(404).json({ error: "Versione non trovata" });
+
+        const version = await saveReportVersion(req.params.id, req.user.uid, {
+            html: htmlSnap.val(),
+            source: 'restore',
+            restoredFrom
+        });
+        res.json({ success: true, version, restoredFrom });
     } catch (error) {
-        console.error('Get projects error:', error);
-        res.status(500).json({ error: "Errore interno del server" });
+        console.error('Restore report version error:', error);
+        res.status(500).json({ error: "Errore nel ripristino della versione" });
     }
 });
 
-app.post("/api/projects", verifyToken, async (req, res) => {
-    if (!db) return res.status(503).json({ error: "Database non configurato" });
+// --- REPORT EXPORT ENDPOINTS ---
 
-    const validation = validateRequired(req.body, ['id', 'title']);
-    if (!validation.valid) return res.status(400).json({ error: validation.error });
+// Renders a call's stored report (or HTML posted in the body) to PDF
+app.post("/api/reports/pdf", verifyToken, validateRequest(SCHEMAS.exportPdf), async (req, res) => {
+    const { callId } = req.body;
+    let { html, title } = req.body;
+    let subtitle = new Date().toLocaleDateString("it-IT");
 
     try {
-        const { id, title, description, color } = req.body;
+        if (callId) {
+            if (!db) return res.status(503).json({ error: "Database non configurato" });
+            const { call, status, error } = await loadCall(req.user.uid, callId, 'read');
+            if (!call) return res.status(status).json({ error });
+
+            html = await inlineReportPhotos(callId, html || call.reportHtml);
+            title = title || call.title;
+            subtitle = new Date(call.createdAt || Date.now()).toLocaleDateString("it-IT");
+        }
 
-        const newProject = {
-            id,
-            title: title.trim(),
-            description: description?.trim() || '',
-            color: color || '#3B82F6',
-            userId: req.user.uid,
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
-        };
+        if (!html) {
+            return res.status(400).json({ error: "Nessun report da convertire" });
+        }
 
-        await db.ref(`projects/${id}`).set(newProject);
-        res.status(201).json(newProject);
+        const pdf = await renderReportPdf(html, { title: title || 'Relazione Tecnica di Sopralluogo', subtitle });
+
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `attachment; filename="${exportFilename(title, 'pdf')}"`,
+            'Content-Length': pdf.length
+        });
+        res.end(Buffer.from(pdf));
     } catch (error) {
-        console.error('Create project error:', error);
-        res.status(500).json({ error: "Errore nella creazione del progetto" });
+        console.error('Render PDF error:', error);
+        res.status(500).json({ error: "Errore nella generazione del PDF" });
     }
 });
 
-app.delete("/api/projects/:id", verifyToken, async (req, res) => {
+// Converts a call's report into an editable Word document styled after the
+// user's template
+app.post("/api/reports/docx", verifyToken, validateRequest(SCHEMAS.exportDocx), async (req, res) => {
     if (!db) return res.status(503).json({ error: "Database non configurato" });
 
+    const { callId, templateId } = req.body;
+
     try {
-        const snapshot = await db.ref(`projects/${req.params.id}`).once("value");
-        const project = snapshot.val();
+        const { call, status: callStatus, error: callError } = await loadCall(req.user.uid, callId, 'read');
+        if (!call) return res.status(callStatus).json({ error: callError });
+        if (!call.reportHtml) return res.status(400).json({ error: "Nessun report da convertire" });
 
-        if (!project) return res.status(404).json({ error: "Progetto non trovato" });
-        if (project.userId !== req.user.uid) return res.status(403).json({ error: "Accesso negato" });
+        const { style, error, status } = await loadExportStyle(req.user.uid, templateId);
+        if (error) return res.status(status).json({ error });
 
-        await db.ref(`projects/${req.params.id}`).remove();
-        res.json({ success: true, message: "Progetto eliminato" });
+        const title = call.title || 'Relazione Tecnica di Sopralluogo';
+        const docx = await renderReportDocx(await inlineReportPhotos(callId, call.reportHtml), style, { title });
+
+        res.set({
+            'Content-Type': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+            'Content-Disposition': `attachment; filename="${exportFilename(title, 'docx')}"`,
+            'Content-Length': docx.length
+        });
+        res.end(docx);
     } catch (error) {
-        console.error('Delete project error:', error);
-        res.status(500).json({ error: "Errore nell'eliminazione del progetto" });
+        console.error('Render DOCX error:', error);
+        res.status(500).json({ error: "Errore nella generazione del documento Word" });
     }
 });
 
-// --- CALLS ENDPOINTS ---
+// --- SHARE LINK ENDPOINTS ---
 
-app.get("/api/calls", verifyToken, async (req, res) => {
+// Creates a read-only link to the call's report, valid for expiresInDays
+// (7 by default) and optionally protected by a password
+app.post("/api/calls/:id/shares", verifyToken, validateRequest(SCHEMAS.createShareLink), async (req, res) => {
     if (!db) return res.status(503).json({ error: "Database non configurato" });
+    if (!SHARE_LINK_SECRET) return res.status(503).json({ error: "Condivisione dei report non configurata" });
 
     try {
-        let query = db.ref("calls").orderByChild("userId").equalTo(req.user.uid);
-        const snapshot = await query.once("value");
-
-        let calls = snapshot.val() ? Object.values(snapshot.val()) : [];
-
-        // Filter by projectId if provided
-        if (req.query.projectId) {
-            calls = calls.filter(c => c.projectId === req.query.projectId);
-        }
+        const { call, status, error } = await loadCall(req.user.uid, req.params.id, 'write');
+        if (!call) return res.status(status).json({ error });
+        if (!call.reportHtml) return res.status(400).json({ error: "La chiamata non ha ancora un report da condividere" });
+
+        const linkRef = db.ref("shareLinks").push();
+        const now = new Date();
+        const expiresAt = new Date(now.getTime() + (req.body.expiresInDays || SHARE_DEFAULT_DAYS) * 86400000);
+        // Whole seconds, as carried by the token
+        expiresAt.setMilliseconds(0);
+
+        const link = {
+            id: linkRef.key,
+            callId: call.id,
+            createdBy: req.user.uid,
+            passwordHash: req.body.password ? await hashSharePassword(req.body.password) : null,
+            expiresAt: expiresAt.toISOString(),
+            revokedAt: null,
+            viewCount: 0,
+            lastViewedAt: null,
+            createdAt: now.toISOString()
+        };
+        await linkRef.set(link);
 
-        res.json(calls.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt)));
+        res.status(201).json({ ...publicShareLink(link), token: signShareToken(link.id, link.expiresAt) });
     } catch (error) {
-        console.error('Get calls error:', error);
-        res.status(500).json({ error: "Errore interno del server" });
+        console.error('Create share link error:', error);
+        res.status(500).json({ error: "Errore nella creazione del link" });
     }
 });
 
-app.post("/api/calls", verifyToken, async (req, res) => {
+app.get("/api/calls/:id/shares", verifyToken, async (req, res) => {
     if (!db) return res.status(503).json({ error: "Database non configurato" });
 
-    const validation = validateRequired(req.body, ['id', 'projectId']);
-    if (!validation.valid) return res.status(400).json({ error: validation.error });
-
     try {
-        const { id, title, projectId, transcript, summary, reportHtml, areas, images, roomTitle } = req.body;
-
-        const newCall = {
-            id,
-            title: title || roomTitle || 'Nuova chiamata',
-            roomTitle: roomTitle || title,
-            projectId,
-            transcript: transcript || '',
-            summary: summary || '',
-            reportHtml: reportHtml || '',
-            areas: areas || [],
-            images: images || [],
-            status: transcript ? 'completed' : 'draft',
-            userId: req.user.uid,
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
-        };
-
-        await db.ref(`calls/${id}`).set(newCall);
-        res.status(201).json(newCall);
+        const { call, status, error } = await loadCall(req.user.uid, req.params.id);
+        if (!call) return res.status(status).json({ error });
+
+        const snapshot = await db.ref("shareLinks").orderByChild("callId").equalTo(call.id).once("value");
+        const links = Object.values(snapshot.val() || {})
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+            .map(link => ({ ...publicShareLink(link), token: SHARE_LINK_SECRET ? signShareToken(link.id, link.expiresAt) : null }));
+        res.json(links);
     } catch (error) {
-        console.error('Create call error:', error);
-        res.status(500).json({ error: "Errore nella creazione della chiamata" });
+        console.error('Get share links error:', error);
+        res.status(500).json({ error: "Errore interno del server" });
     }
 });
 
-app.get("/api/calls/:id", verifyToken, async (req, res) => {
+// Latest attempts to open the link, newest first
+app.get("/api/calls/:id/shares/:linkId/views", verifyToken, async (req, res) => {
     if (!db) return res.status(503).json({ error: "Database non configurato" });
 
     try {
-        const snapshot = await db.ref(`calls/${req.params.id}`).once("value");
-        const call = snapshot.val();
+        const { call, status, error } = await loadCall(req.user.uid, req.params.id);
+        if (!call) return res.status(status).json({ error });
 
-        if (!call) return res.status(404).json({ error: "Chiamata non trovata" });
-        if (call.userId !== req.user.uid) return res.status(403).json({ error: "Accesso negato" });
+        const linkSnap = await db.ref(`shareLinks/${req.params.linkId}`).once("value");
+        if (linkSnap.val()?.callId !== call.id) return res.status(404).json({ error: "Link non trovato" });
 
-        res.json(call);
+        const snapshot = await db.ref(`shareViews/${req.params.linkId}`)
+            .orderByKey()
+            .limitToLast(SHARE_VIEWS_LIMIT)
+            .once("value");
+        const views = [];
+        snapshot.forEach(child => {
+            views.push({ id: child.key, ...child.val() });
+        });
+        res.json(views.reverse());
     } catch (error) {
-        console.error('Get call error:', error);
+        console.error('Get share views error:', error);
         res.status(500).json({ error: "Errore interno del server" });
     }
 });
 
-app.put("/api/calls/:id", verifyToken, async (req, res) => {
+// Revokes the link; it stays listed with its views
+app.delete("/api/calls/:id/shares/:linkId", verifyToken, async (req, res) => {
     if (!db) return res.status(503).json({ error: "Database non configurato" });
 
     try {
-        const snapshot = await db.ref(`calls/${req.params.id}`).once("value");
-        const call = snapshot.val();
-
-        if (!call) return res.status(404).json({ error: "Chiamata non trovata" });
-        if (call.userId !== req.user.uid) return res.status(403).json({ error: "Accesso negato" });
+        const { call, status, error } = await loadCall(req.user.uid, req.params.id, 'write');
+        if (!call) return res.status(status).json({ error });
 
-        const allowedFields = ['title', 'roomTitle', 'transcript', 'summary', 'reportHtml', 'status'];
-        const updates = { updatedAt: new Date().toISOString() };
-
-        for (const field of allowedFields) {
-            if (req.body[field] !== undefined) {
-                updates[field] = req.body[field];
-            }
-        }
+        const linkSnap = await db.ref(`shareLinks/${req.params.linkId}`).once("value");
+        const link = linkSnap.val();
+        if (link?.callId !== call.id) return res.status(404).json({ error: "Link non trovato" });
 
-        await db.ref(`calls/${req.params.id}`).update(updates);
-        res.json({ success: true, updated: Object.keys(updates) });
+        const revokedAt = link.revokedAt || new Date().toISOString();
+        await db.ref(`shareLinks/${req.params.linkId}`).update({ revokedAt, revokedBy: link.revokedBy || req.user.uid });
+        res.json({ success: true, message: "Link revocato", revokedAt });
     } catch (error) {
-        console.error('Update call error:', error);
-        res.status(500).json({ error: "Errore nell'aggiornamento della chiamata" });
+        console.error('Revoke share link error:', error);
+        res.status(500).json({ error: "Errore nella revoca del link" });
     }
 });
 
-app.delete("/api/calls/:id", verifyToken, async (req, res) => {
+// Public: serves the report of a valid link. Password-protected links are
+// opened with POST { password }; a GET answers 401 with passwordRequired.
+async function serveSharedReport(req, res) {
     if (!db) return res.status(503).json({ error: "Database non configurato" });
+    if (!SHARE_LINK_SECRET) return res.status(503).json({ error: "Condivisione dei report non configurata" });
+    if (!await checkRateLimit(res, 'public', clientIp(req), PUBLIC_RATE_LIMIT)) {
+        return res.status(429).json({ error: 'Troppe richieste. Riprova tra un minuto.' });
+    }
+
+    const verified = verifyShareToken(req.params.token);
+    if (!verified) return res.status(404).json({ error: "Link non valido" });
 
     try {
-        const snapshot = await db.ref(`calls/${req.params.id}`).once("value");
-        const call = snapshot.val();
+        const linkSnap = await db.ref(`shareLinks/${verified.linkId}`).once("value");
+        const link = linkSnap.val();
+        if (!link) return res.status(404).json({ error: "Link non valido" });
+        if (link.revokedAt) {
+            await logShareView(req, link.id, 'revoked');
+            return res.status(410).json({ error: "Il link è stato revocato" });
+        }
+        if (new Date(link.expiresAt) <= new Date() || verified.expiresAt <= new Date()) {
+            await logShareView(req, link.id, 'expired');
+            return res.status(410).json({ error: "Il link è scaduto" });
+        }
 
-        if (!call) return res.status(404).json({ error: "Chiamata non trovata" });
-        if (call.userId !== req.user.uid) return res.status(403).json({ error: "Accesso negato" });
+        if (link.passwordHash) {
+            const password = req.method === 'POST' ? req.body?.password : undefined;
+            if (!password) return res.status(401).json({ error: "Password richiesta", passwordRequired: true });
+            if (!await checkSharePassword(password, link.passwordHash)) {
+                await logShareView(req, link.id, 'wrong-password');
+                return res.status(401).json({ error: "Password errata", passwordRequired: true });
+            }
+        }
 
-        await db.ref(`calls/${req.params.id}`).remove();
-        res.json({ success: true, message: "Chiamata eliminata" });
+        const callSnap = await db.ref(`calls/${link.callId}`).once("value");
+        const call = callSnap.val();
+        if (!call?.reportHtml) return res.status(404).json({ error: "Report non disponibile" });
+
+        await logShareView(req, link.id, 'viewed');
+        res.set('Cache-Control', 'no-store');
+        res.json({
+            title: call.title || 'Relazione Tecnica di Sopralluogo',
+            date: call.createdAt || null,
+            html: await inlineReportPhotos(link.callId, call.reportHtml),
+            expiresAt: link.expiresAt
+        });
     } catch (error) {
-        console.error('Delete call error:', error);
-        res.status(500).json({ error: "Errore nell'eliminazione della chiamata" });
+        console.error('Open share link error:', error);
+        res.status(500).json({ error: "Errore interno del server" });
     }
-});
+}
+
+app.get("/api/share/:token", serveSharedReport);
+
+app.post("/api/share/:token", validateRequest(SCHEMAS.openShareLink), serveSharedReport);
 
 // --- TEMPLATES ENDPOINTS ---
 
@@ -622,37 +6959,41 @@ app.get("/api/templates", verifyToken, async (req, res) => {
     if (!db) return res.status(503).json({ error: "Database non configurato" });
 
     try {
-        const snapshot = await db.ref("templates")
-            .orderByChild("userId")
-            .equalTo(req.user.uid)
-            .once("value");
-        res.json(snapshot.val() ? Object.values(snapshot.val()) : []);
+        // Personal templates first, then those shared by the user's organization
+        const orgSnap = await db.ref(`users/${req.user.uid}/orgId`).once("value");
+        const [ownSnap, sharedSnap] = await Promise.all([
+            db.ref("templates").orderByChild("userId").equalTo(req.user.uid).once("value"),
+            orgSnap.val()
+                ? db.ref("templates").orderByChild("orgId").equalTo(orgSnap.val()).once("value")
+                : null
+        ]);
+        const own = Object.values(ownSnap.val() || {}).filter(template => !template.orgId);
+        res.json([...own, ...Object.values(sharedSnap?.val() || {})]);
     } catch (error) {
         console.error('Get templates error:', error);
         res.status(500).json({ error: "Errore interno del server" });
     }
 });
 
-app.post("/api/templates", verifyToken, async (req, res) => {
+app.post("/api/templates", verifyToken, validateRequest(SCHEMAS.createTemplate), async (req, res) => {
     if (!db) return res.status(503).json({ error: "Database non configurato" });
 
-    const validation = validateRequired(req.body, ['id', 'name']);
-    if (!validation.valid) return res.status(400).json({ error: validation.error });
-
     try {
-        const { id, name, description, htmlContent, category } = req.body;
+        const { name, description, htmlContent, category, orgId } = req.body;
 
-        const newTemplate = {
-            id,
+        const denied = await checkOrgWrite(req.user.uid, orgId);
+        if (denied) return res.status(denied.status).json({ error: denied.error });
+
+        const newTemplate = await createRecord("templates", {
             name: name.trim(),
             description: description?.trim() || '',
             htmlContent: htmlContent || '',
             category: category || 'Custom',
+            orgId: orgId || null,
             userId: req.user.uid,
             createdAt: new Date().toISOString()
-        };
+        });
 
-        await db.ref(`templates/${id}`).set(newTemplate);
         res.status(201).json(newTemplate);
     } catch (error) {
         console.error('Create template error:', error);
@@ -660,152 +7001,271 @@ app.post("/api/templates", verifyToken, async (req, res) => {
     }
 });
 
-// --- AI ENDPOINTS ---
+app.get("/api/templates/system", verifyToken, async (req, res) => {
+    if (!db) return res.status(503).json({ error: "Database non configurato" });
 
-app.post("/api/ai/transcribe", verifyToken, async (req, res) => {
     try {
-        const { audio, mimeType = "audio/webm" } = req.body;
+        const templates = await loadSystemTemplates();
+        res.json(Object.values(templates));
+    } catch (error) {
+        console.error('Get system templates error:', error);
+        res.status(500).json({ error: "Errore interno del server" });
+    }
+});
 
-        if (!audio) {
-            return res.status(400).json({ error: "Audio mancante" });
-        }
+// Copies a system template into the user's templates, or the organization's
+// with orgId
+app.post("/api/templates/system/:id/clone", verifyToken, validateRequest(SCHEMAS.cloneTemplate), async (req, res) => {
+    if (!db) return res.status(503).json({ error: "Database non configurato" });
 
-        // Check credits
-        const creditResult = await useCredits(req.user.uid, 1);
-        if (!creditResult.success) {
-            return res.status(402).json({
-                error: creditResult.error,
-                creditsAvailable: creditResult.available,
-                creditsRequired: creditResult.required
-            });
-        }
+    try {
+        const source = (await loadSystemTemplates())[req.params.id];
+        if (!source) return res.status(404).json({ error: "Template non trovato" });
 
-        const result = await callOpenRouter([{
-            role: "user",
-            content: [
-                { type: "text", text: PROMPTS.transcription },
-                { type: "image_url", image_url: { url: `data:${mimeType};base64,${audio}` } }
-            ]
-        }], MODEL_AUDIO, 4000);
+        const denied = await checkOrgWrite(req.user.uid, req.body.orgId);
+        if (denied) return res.status(denied.status).json({ error: denied.error });
 
-        res.json({
-            success: true,
-            transcription: result,
-            creditsRemaining: creditResult.remaining
-        });
+        const templateRef = db.ref("templates").push();
+        const now = new Date().toISOString();
+        const newTemplate = {
+            id: templateRef.key,
+            name: req.body.name?.trim() || source.name,
+            description: source.description || '',
+            htmlContent: source.htmlContent,
+            category: source.category || 'Custom',
+            clonedFrom: source.id,
+            orgId: req.body.orgId || null,
+            userId: req.user.uid,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        await templateRef.set(newTemplate);
+        res.status(201).json(newTemplate);
     } catch (error) {
-        console.error("Transcribe error:", error);
-        res.status(500).json({ error: "Errore nella trascrizione audio" });
+        console.error('Clone template error:', error);
+        res.status(500).json({ error: "Errore nella creazione del template" });
     }
 });
 
-app.post("/api/ai/generate-report", verifyToken, async (req, res) => {
+app.get("/api/templates/:id", verifyToken, async (req, res) => {
+    if (!db) return res.status(503).json({ error: "Database non configurato" });
+
     try {
-        const { projectTitle, reportTitle, transcription, areas, writingStyle } = req.body;
+        const { record: template, status, error } =
+            await loadAuthorized("templates", req.params.id, req.user.uid, 'read');
+        if (!template) return res.status(status).json({ error });
 
-        if (!transcription) {
-            return res.status(400).json({ error: "Trascrizione mancante" });
-        }
+        res.json(template);
+    } catch (error) {
+        console.error('Get template error:', error);
+        res.status(500).json({ error: "Errore interno del server" });
+    }
+});
 
-        // Check credits
-        const creditResult = await useCredits(req.user.uid, 1);
-        if (!creditResult.success) {
-            return res.status(402).json({
-                error: creditResult.error,
-                creditsAvailable: creditResult.available
-            });
+app.put("/api/templates/:id", verifyToken, validateRequest(SCHEMAS.updateTemplate), async (req, res) => {
+    if (!db) return res.status(503).json({ error: "Database non configurato" });
+
+    try {
+        const { record: template, status, error } =
+            await loadAuthorized("templates", req.params.id, req.user.uid, 'write');
+        if (!template) return res.status(status).json({ error });
+
+        const allowedFields = ['name', 'description', 'htmlContent', 'category'];
+        const updates = { updatedAt: new Date().toISOString() };
+
+        for (const field of allowedFields) {
+            if (req.body[field] !== undefined) {
+                updates[field] = typeof req.body[field] === 'string' && field !== 'htmlContent'
+                    ? req.body[field].trim()
+                    : req.body[field];
+            }
         }
+        if (updates.name === '') return res.status(400).json({ error: "Il nome non può essere vuoto" });
 
-        const prompt = PROMPTS.reportGeneration
-            .replace("{projectTitle}", projectTitle || "Progetto")
-            .replace("{reportTitle}", reportTitle || "Relazione Tecnica di Sopralluogo")
-            .replace("{date}", new Date().toLocaleDateString("it-IT", {
-                weekday: 'long',
-                year: 'numeric',
-                month: 'long',
-                day: 'numeric'
-            }))
-            .replace("{areas}", JSON.stringify(areas || []))
-            .replace(/{writingStyle}/g, writingStyle || "standard")
-            .replace("{transcription}", transcription);
+        await db.ref(`templates/${req.params.id}`).update(updates);
+        res.json({ success: true, updated: Object.keys(updates) });
+    } catch (error) {
+        console.error('Update template error:', error);
+        res.status(500).json({ error: "Errore nell'aggiornamento del template" });
+    }
+});
 
-        const html = await callOpenRouter([
-            { role: "user", content: prompt }
-        ], MODEL_TEXT, 16000);
+app.delete("/api/templates/:id", verifyToken, async (req, res) => {
+    if (!db) return res.status(503).json({ error: "Database non configurato" });
 
-        res.json({
-            success: true,
-            html: cleanHtmlResponse(html),
-            reportId: `report-${Date.now()}`,
-            creditsRemaining: creditResult.remaining
-        });
+    try {
+        const { record: template, status, error } =
+            await loadAuthorized("templates", req.params.id, req.user.uid, 'write');
+        if (!template) return res.status(status).json({ error });
+
+        await db.ref(`templates/${req.params.id}`).remove();
+        res.json({ success: true, message: "Template eliminato" });
     } catch (error) {
-        console.error("Generate report error:", error);
-        res.status(500).json({ error: "Errore nella generazione del report" });
+        console.error('Delete template error:', error);
+        res.status(500).json({ error: "Errore nell'eliminazione del template" });
     }
 });
 
-app.post("/api/ai/refine-report", verifyToken, async (req, res) => {
+// --- UPLOAD ENDPOINTS ---
+
+// Starts an upload to storage: answers with the URL to PUT the file to, with
+// the Content-Type header set to contentType
+app.post("/api/uploads", verifyToken, validateRequest(SCHEMAS.createUpload), async (req, res) => {
+    if (!db) return res.status(503).json({ error: "Database non configurato" });
+    if (!storage) return res.status(503).json({ error: "Archiviazione file non configurata" });
+
+    const kind = UPLOAD_KINDS[req.body.kind];
+    if (!kind.accepts(req.body.contentType)) {
+        return sendValidationError(res, { field: 'contentType', reason: kind.typeMessage });
+    }
+    if (req.body.size > kind.maxBytes) {
+        return res.status(413).json({ error: `File troppo grande (max ${kind.maxBytes / 1024 / 1024} MB)` });
+    }
+
     try {
-        const { currentHtml, userMessage } = req.body;
+        const { upload, uploadUrl } = await createUpload(req.user.uid, req.body, `${req.protocol}://${req.get('host')}`);
+        res.status(201).json({
+            uploadId: upload.id,
+            uploadUrl,
+            method: 'PUT',
+            headers: { 'Content-Type': upload.contentType },
+            expiresAt: upload.expiresAt
+        });
+    } catch (error) {
+        console.error('Create upload error:', error);
+        res.status(500).json({ error: "Errore nella preparazione del caricamento" });
+    }
+});
 
-        if (!currentHtml || !userMessage) {
-            return res.status(400).json({ error: "HTML corrente e messaggio utente richiesti" });
-        }
+// Where the local storage stand-in's upload URLs point
+app.put("/api/local-storage/:token", express.raw({ type: () => true, limit: AUDIO_UPLOAD_MAX_BYTES }), async (req, res) => {
+    const grant = storage?.verifyUploadToken?.(req.params.token);
+    if (!grant) return res.status(403).json({ error: "URL di caricamento non valido o scaduto" });
+    if (req.get('content-type') !== grant.contentType) {
+        return res.status(400).json({ error: `Content-Type deve essere ${grant.contentType}` });
+    }
 
-        // Check credits
-        const creditResult = await useCredits(req.user.uid, 1);
-        if (!creditResult.success) {
-            return res.status(402).json({ error: creditResult.error });
-        }
+    await storage.write(grant.path, Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0), grant.contentType);
+    res.status(200).end();
+});
 
-        const prompt = PROMPTS.refineReport
-            .replace("{currentHtml}", currentHtml)
-            .replace("{userMessage}", userMessage);
+// --- AI ENDPOINTS ---
 
-        const result = await callOpenRouter([
-            { role: "user", content: prompt }
-        ], MODEL_TEXT, 16000);
+app.post("/api/ai/transcribe", verifyToken, (req, res) => handleAiTask('transcribe', req, res));
 
-        if (result.startsWith("CLARIFICATION:")) {
-            res.json({
-                success: true,
-                needsClarification: true,
-                message: result.replace("CLARIFICATION:", "").trim()
-            });
+// Transcribes a recording as a 'transcribe-upload' job and answers 202 with
+// its jobId. The recording is uploaded to storage first (uploadId, see
+// POST /api/uploads) or, if it fits in a request, sent as the multipart
+// field "audio".
+app.post("/api/ai/transcribe/upload", verifyToken, receiveAudioUpload, async (req, res) => {
+    if (!db) return res.status(503).json({ error: "Database non configurato" });
+    if (!storage) return res.status(503).json({ error: "Archiviazione file non configurata" });
+
+    try {
+        let uploadId = req.body?.uploadId;
+        if (req.file) {
+            uploadId = (await saveUpload(req.user.uid, 'audio', req.file.buffer, req.file.mimetype)).id;
         } else {
-            res.json({
-                success: true,
-                html: cleanHtmlResponse(result),
-                creditsRemaining: creditResult.remaining
-            });
+            const invalid = validateFields(SCHEMAS.transcribeUpload.body, { uploadId });
+            if (invalid) {
+                return uploadId === undefined
+                    ? res.status(400).json({ error: "Audio mancante" })
+                    : sendValidationError(res, invalid);
+            }
         }
+
+        const { job, status, error, reservation } = await enqueueJob(req.user.uid, 'transcribe-upload', { uploadId });
+        if (reservation) return sendCreditError(res, reservation);
+        if (error) return res.status(status).json({ error });
+
+        res.status(202).json({ jobId: job.id, status: job.status, uploadId });
+    } catch (error) {
+        console.error("Transcribe upload error:", error);
+        res.status(500).json({ error: "Errore nella trascrizione audio" });
+    }
+});
+
+app.post("/api/ai/generate-report", verifyToken, (req, res) => handleAiTask('generate-report', req, res));
+
+// Extracts areas, issues, measurements, materials and action items from a
+// call's transcript and stores them on the call
+app.post("/api/ai/extract", verifyToken, (req, res) => handleAiTask('extract', req, res));
+
+// Regenerates a call's summary in the request
+app.post("/api/ai/summarize", verifyToken, (req, res) => handleAiTask('summarize', req, res));
+
+app.post("/api/ai/refine-report", verifyToken, (req, res) => handleAiTask('refine-report', req, res));
+
+app.post("/api/ai/convert-pdf", verifyToken, (req, res) => handleAiTask('template', req, res));
+
+// --- JOB ENDPOINTS ---
+
+app.post("/api/jobs", verifyToken, validateRequest(SCHEMAS.createJob), async (req, res) => {
+    if (!db) return res.status(503).json({ error: "Database non configurato" });
+
+    const { type, input = {} } = req.body;
+    // Own keys only: "toString" or "constructor" are not tasks
+    const task = Object.hasOwn(AI_TASKS, type) ? AI_TASKS[type] : null;
+    if (!task) {
+        return sendValidationError(res, { field: 'type', reason: `deve essere uno tra: ${Object.keys(AI_TASKS).join(', ')}` });
+    }
+    const invalid = validateFields(task.schema.body, input);
+    if (invalid) return sendValidationError(res, { field: `input.${invalid.field}`, reason: invalid.reason });
+
+    try {
+        const { job, status, error, reservation } = await enqueueJob(req.user.uid, type, input);
+        if (reservation) return sendCreditError(res, reservation);
+        if (error) return res.status(status).json({ error });
+
+        res.status(202).json({ jobId: job.id, status: job.status });
     } catch (error) {
-        console.error("Refine report error:", error);
-        res.status(500).json({ error: "Errore nella modifica del report" });
+        console.error('Create job error:', error);
+        res.status(500).json({ error: "Errore nella creazione del job" });
     }
 });
 
-app.post("/api/ai/convert-pdf", verifyToken, async (req, res) => {
+app.get("/api/jobs/:id", verifyToken, async (req, res) => {
+    if (!db) return res.status(503).json({ error: "Database non configurato" });
+
     try {
-        // Check credits
-        const creditResult = await useCredits(req.user.uid, 1);
-        if (!creditResult.success) {
-            return res.status(402).json({ error: creditResult.error });
-        }
+        const snapshot = await db.ref(`jobs/${req.params.id}`).once("value");
+        const job = snapshot.val();
 
-        const html = await callOpenRouter([
-            { role: "user", content: PROMPTS.pdfTemplate }
-        ], MODEL_TEXT, 8000);
+        if (!job) return res.status(404).json({ error: "Job non trovato" });
+        if (job.userId !== req.user.uid) return res.status(403).json({ error: "Accesso negato" });
 
-        res.json({
-            success: true,
-            html: cleanHtmlResponse(html),
-            creditsRemaining: creditResult.remaining
+        const { reservation, ...publicJob } = await reapJob(job);
+        res.json(publicJob);
+    } catch (error) {
+        console.error('Get job error:', error);
+        res.status(500).json({ error: "Errore interno del server" });
+    }
+});
+
+app.delete("/api/jobs/:id", verifyToken, async (req, res) => {
+    if (!db) return res.status(503).json({ error: "Database non configurato" });
+
+    try {
+        const snapshot = await db.ref(`jobs/${req.params.id}`).once("value");
+        const job = snapshot.val();
+
+        if (!job) return res.status(404).json({ error: "Job non trovato" });
+        if (job.userId !== req.user.uid) return res.status(403).json({ error: "Accesso negato" });
+
+        const cancelled = await transitionJob(req.params.id, ['queued', 'running'], {
+            status: 'cancelled',
+            finishedAt: new Date().toISOString()
         });
+        if (!cancelled) {
+            return res.status(409).json({ error: "Il job è già terminato", status: job.status });
+        }
+
+        await releaseCredits(cancelled.reservation, 'Job annullato');
+        res.json({ success: true, status: 'cancelled' });
     } catch (error) {
-        console.error("Convert PDF error:", error);
-        res.status(500).json({ error: "Errore nella conversione PDF" });
+        console.error('Cancel job error:', error);
+        res.status(500).json({ error: "Errore nell'annullamento del job" });
     }
 });
 
@@ -823,6 +7283,28 @@ app.use((req, res) => {
 // Export for Vercel
 module.exports = app;
 
+// Lets tests and local tooling run the API against database and storage
+// stand-ins, the mock AI provider (aiProviders.mock.respond), an in-memory
+// rate limit store (setRateLimitStore(rateLimitStores.memory)) and their own
+// token check (setTokenVerifier(token => decodedToken)), and run migrations
+module.exports.createLocalDatabase = createLocalDatabase;
+module.exports.aiProviders = AI_PROVIDERS;
+module.exports.setDatabase = database => {
+    db = database;
+};
+module.exports.createLocalStorage = createLocalStorage;
+module.exports.setStorage = fileStorage => {
+    storage = fileStorage;
+};
+module.exports.rateLimitStores = RATE_LIMIT_STORES;
+module.exports.migrateListIndexes = migrateListIndexes;
+module.exports.setRateLimitStore = store => {
+    rateLimitStore = store;
+};
+module.exports.setTokenVerifier = verifier => {
+    verifyIdToken = verifier;
+};
+
 // Local development
 if (require.main === module) {
     const PORT = process.env.PORT || 5000;
@@ -0,0 +1,112 @@
+/**
+ * Local stand-in for the payment provider's webhooks.
+ *
+ * Builds a Stripe-format event, signs it with BILLING_WEBHOOK_SECRET the way
+ * the provider does and posts it to the API's webhook endpoint, so billing
+ * can be exercised against a local server (e.g. with BILLING_PROVIDER=mock).
+ *
+ * Usage:
+ *   node scripts/billing-webhook.js <event> --user <uid> [options]
+ *
+ * Events:
+ *   checkout   checkout.session.completed for a subscription
+ *   update     customer.subscription.updated
+ *   cancel     customer.subscription.deleted
+ *
+ * Options:
+ *   --user <uid>            user who opened the checkout (required)
+ *   --org <orgId>           organization the subscription is for
+ *   --plan <plan>           paid plan, default Pro
+ *   --status <status>       subscription status for update, default active
+ *   --subscription <id>     subscription id, default sub_local_<user>
+ *   --url <url>             webhook URL, default http://localhost:$PORT/api/billing/webhook
+ */
+const crypto = require("crypto");
+
+const EVENT_TYPES = {
+    checkout: 'checkout.session.completed',
+    update: 'customer.subscription.updated',
+    cancel: 'customer.subscription.deleted'
+};
+
+function parseArgs(argv) {
+    const [event, ...rest] = argv;
+    const options = {};
+    for (let i = 0; i < rest.length; i += 2) {
+        if (!rest[i].startsWith('--') || rest[i + 1] === undefined) {
+            throw new Error(`Opzione non valida: ${rest[i]}`);
+        }
+        options[rest[i].slice(2)] = rest[i + 1];
+    }
+    return { event, options };
+}
+
+function buildEvent(name, options) {
+    const plan = options.plan || 'Pro';
+    const metadata = { userId: options.user, orgId: options.org || null, plan };
+    const subscriptionId = options.subscription || `sub_local_${options.user}`;
+    const customerId = `cus_local_${options.org || options.user}`;
+
+    let object;
+    if (name === 'checkout') {
+        object = {
+            id: `cs_local_${crypto.randomBytes(8).toString('hex')}`,
+            object: 'checkout.session',
+            mode: 'subscription',
+            payment_status: 'paid',
+            client_reference_id: options.user,
+            customer: customerId,
+            subscription: subscriptionId,
+            metadata
+        };
+    } else {
+        const priceId = process.env[`STRIPE_PRICE_${plan.toUpperCase()}`] || `price_local_${plan}`;
+        object = {
+            id: subscriptionId,
+            object: 'subscription',
+            customer: customerId,
+            status: name === 'cancel' ? 'canceled' : options.status || 'active',
+            current_period_end: Math.floor(Date.now() / 1000) + 30 * 24 * 60 * 60,
+            items: { data: [{ price: { id: priceId } }] },
+            metadata
+        };
+    }
+
+    return {
+        id: `evt_local_${crypto.randomBytes(12).toString('hex')}`,
+        object: 'event',
+        type: EVENT_TYPES[name],
+        created: Math.floor(Date.now() / 1000),
+        data: { object }
+    };
+}
+
+async function main() {
+    const secret = process.env.BILLING_WEBHOOK_SECRET;
+    if (!secret) throw new Error('BILLING_WEBHOOK_SECRET non impostato');
+
+    const { event: name, options } = parseArgs(process.argv.slice(2));
+    if (!EVENT_TYPES[name]) throw new Error(`Evento sconosciuto: ${name} (${Object.keys(EVENT_TYPES).join(', ')})`);
+    if (!options.user) throw new Error('--user è obbligatorio');
+
+    const payload = JSON.stringify(buildEvent(name, options));
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+    const url = options.url || `http://localhost:${process.env.PORT || 5000}/api/billing/webhook`;
+
+    const response = await fetch(url, {
+        method: "POST",
+        headers: {
+            "Content-Type": "application/json",
+            "Stripe-Signature": `t=${timestamp},v1=${signature}`
+        },
+        body: payload
+    });
+    console.log(`${EVENT_TYPES[name]} -> ${response.status}`, await response.text());
+    if (!response.ok) process.exitCode = 1;
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
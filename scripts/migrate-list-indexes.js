@@ -0,0 +1,30 @@
+/**
+ * One-off migration for projects, calls and admin audit entries created
+ * before listings were paged and calls searchable.
+ *
+ * Adds the sort keys the listings query (userSortKey, orgSortKey,
+ * projectSortKey, and targetKey of the admin audit) and the search index
+ * entries of every call, using the database configured by
+ * FIREBASE_SERVICE_ACCOUNT. Run it once after
+ * deploying; running it again only rewrites the same keys.
+ *
+ * Usage:
+ *   node scripts/migrate-list-indexes.js
+ */
+const api = require("../api/index.js");
+
+async function main() {
+    if (!JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT || "{}").project_id) {
+        throw new Error('FIREBASE_SERVICE_ACCOUNT non impostato');
+    }
+    const migrated = await api.migrateListIndexes();
+    console.log(`Progetti: ${migrated.projects}, chiamate: ${migrated.calls}, registro admin: ${migrated.adminAudit}`);
+}
+
+main()
+    .catch(error => {
+        console.error(error.message);
+        process.exitCode = 1;
+    })
+    // The Firebase connection would keep the process alive
+    .finally(() => process.exit());
@@ -0,0 +1,104 @@
+const { test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi, childValues } = require('./helpers');
+
+const currentPeriod = () => new Date().toISOString().slice(0, 7);
+
+let api;
+before(() => { api = startApi(); });
+after(() => api.close());
+afterEach(() => api.mock.respond());
+
+// A user with the given credit fields and a call ready for extraction (1 credit)
+async function userWithCall(userId, credits) {
+    await api.db.ref(`users/${userId}`).set({ name: userId, ...credits });
+    const project = await api.request('POST', '/api/projects', { user: userId, body: { title: 'Cantiere' } });
+    const call = await api.request('POST', '/api/calls', {
+        user: userId,
+        body: { projectId: project.body.id, transcript: 'Sopralluogo in cucina.', summary: 'Sopralluogo.' }
+    });
+    assert.equal(call.status, 201);
+    return call.body.id;
+}
+
+async function account(userId) {
+    const snapshot = await api.db.ref(`users/${userId}`).once('value');
+    return snapshot.val();
+}
+
+test('a successful task commits its reservation and records the debit', async () => {
+    const callId = await userWithCall('commit', { plan: 'Pro', creditsTotal: 10, creditsUsed: 0, creditsPeriod: currentPeriod() });
+
+    const res = await api.request('POST', '/api/ai/extract', { user: 'commit', body: { callId } });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.creditsRemaining, 9);
+    assert.equal((await account('commit')).creditsUsed, 1);
+    const [reservation] = await childValues(api.db, 'creditReservations/commit');
+    assert.equal(reservation.status, 'committed');
+    const ledger = await childValues(api.db, 'creditLedger/commit');
+    assert.deepEqual(ledger.map(e => [e.type, e.amount, e.balance]), [['debit', 1, 9]]);
+});
+
+test('a failed task refunds its reservation with a refund entry', async () => {
+    const callId = await userWithCall('refund', { plan: 'Pro', creditsTotal: 10, creditsUsed: 2, creditsPeriod: currentPeriod() });
+    api.mock.respond(() => { throw new Error('Servizio non disponibile'); });
+
+    const res = await api.request('POST', '/api/ai/extract', { user: 'refund', body: { callId } });
+
+    assert.equal(res.status, 500);
+    assert.equal((await account('refund')).creditsUsed, 2);
+    const [reservation] = await childValues(api.db, 'creditReservations/refund');
+    assert.equal(reservation.status, 'refunded');
+    const ledger = await childValues(api.db, 'creditLedger/refund');
+    assert.deepEqual(ledger.map(e => [e.type, e.amount, e.balance]), [['debit', 1, 7], ['refund', 1, 8]]);
+});
+
+test('a task is refused without enough credits and never reaches the AI', async () => {
+    const callId = await userWithCall('broke', { plan: 'Free', creditsTotal: 10, creditsUsed: 10, creditsPeriod: currentPeriod() });
+    const requests = api.mock.requests.length;
+
+    const res = await api.request('POST', '/api/ai/extract', { user: 'broke', body: { callId } });
+
+    assert.equal(res.status, 402);
+    assert.equal(res.body.creditsAvailable, 0);
+    assert.equal(api.mock.requests.length, requests);
+    assert.equal((await account('broke')).creditsUsed, 10);
+    assert.deepEqual(await childValues(api.db, 'creditReservations/broke'), []);
+});
+
+test('a new period rolls over unused plan credits and carries granted ones', async () => {
+    // 120 unused: 50 granted carry over, 70 plan credits roll over (Pro allows 100)
+    const callId = await userWithCall('rollover', {
+        plan: 'Pro', creditsTotal: 150, creditsUsed: 30, creditsGranted: 50, creditsPeriod: '2020-01'
+    });
+
+    const res = await api.request('POST', '/api/ai/extract', { user: 'rollover', body: { callId } });
+
+    assert.equal(res.status, 200);
+    const user = await account('rollover');
+    assert.equal(user.creditsPeriod, currentPeriod());
+    assert.equal(user.creditsRolledOver, 70);
+    assert.equal(user.creditsGranted, 50);
+    assert.equal(user.creditsTotal, 100 + 70 + 50);
+    assert.equal(user.creditsUsed, 1);
+    const ledger = await childValues(api.db, 'creditLedger/rollover');
+    assert.deepEqual(ledger.map(e => [e.type, e.amount, e.balance]), [['reset', 220, 220], ['debit', 1, 219]]);
+});
+
+test('a new period without rollover keeps only the unused granted credits', async () => {
+    // 5 unused, all counted as granted; the Free plan rolls nothing over
+    await api.db.ref('users/free').set({
+        name: 'free', plan: 'Free', creditsTotal: 60, creditsUsed: 55, creditsGranted: 50, creditsPeriod: '2020-01'
+    });
+
+    const res = await api.request('GET', '/api/users/free/stats', { user: 'free' });
+
+    assert.equal(res.status, 200);
+    const user = await account('free');
+    assert.equal(user.creditsPeriod, currentPeriod());
+    assert.equal(user.creditsRolledOver, 0);
+    assert.equal(user.creditsGranted, 5);
+    assert.equal(user.creditsTotal, 10 + 5);
+    assert.equal(user.creditsUsed, 0);
+});
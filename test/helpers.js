@@ -0,0 +1,43 @@
+// Runs the API in-process against the in-memory database and storage, the
+// mock AI provider and an in-memory rate limit store. Bearer tokens are taken
+// as the user id.
+process.env.AI_PROVIDER = 'mock';
+process.env.AI_RETRY_BASE_MS = '1';
+
+const api = require('../api/index.js');
+
+function startApi() {
+    const db = api.createLocalDatabase();
+    api.setDatabase(db);
+    api.setStorage(api.createLocalStorage());
+    api.setRateLimitStore(api.rateLimitStores.memory);
+    api.setTokenVerifier(async token => ({ uid: token }));
+
+    const server = api.listen(0);
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    async function request(method, path, { user, body } = {}) {
+        const headers = {};
+        if (user) headers.Authorization = `Bearer ${user}`;
+        if (body) headers['Content-Type'] = 'application/json';
+        const response = await fetch(baseUrl + path, { method, headers, body: body && JSON.stringify(body) });
+        return { status: response.status, body: await response.json() };
+    }
+
+    function close() {
+        server.closeAllConnections();
+        return new Promise(resolve => server.close(resolve));
+    }
+
+    return { db, mock: api.aiProviders.mock, request, close };
+}
+
+// The children of a database path in key order
+async function childValues(db, path) {
+    const snapshot = await db.ref(path).orderByKey().once('value');
+    const values = [];
+    snapshot.forEach(child => { values.push(child.val()); });
+    return values;
+}
+
+module.exports = { startApi, childValues };